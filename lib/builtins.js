@@ -0,0 +1,221 @@
+﻿"use strict";
+
+
+const util = require('util');
+
+
+/**
+ * Prints the name of the class of an object followed by a space, e.g.
+ * `Map `. Subclasses print their own name.
+ * @param {Printer} printer - The printer.
+ * @param {object} node - The object.
+ * @param {string} name - Name of the built-in class.
+ */
+function printClass(printer, node, name) {
+	let ctor = node.constructor;
+	if (ctor != null && typeof ctor.name === 'string' && ctor.name) {
+		name = ctor.name;
+	}
+	printer._id(name)._emit(' ');
+}
+
+
+/**
+ * Prints the entries of a Map or the items of a Set, e.g. `{ "a" => 1 }`.
+ * @param {Printer} printer - The printer.
+ * @param {(Map|Set)} items - The Map or Set.
+ * @param {function} printItem - Prints an item.
+ */
+function printEntries(printer, items, printItem) {
+	if (items.size === 0) {
+		printer._punct('{}');
+		return;
+	}
+	printer._startBlock({
+		open: { value: '{ ' },
+		close: ' }',
+		separator: { value: ',' },
+		afterLast: { value: '' }
+	});
+	for (let item of items) {
+		printer._startItem();
+		printItem(item);
+		printer._endItem();
+	}
+	printer._endBlock();
+}
+
+
+/**
+ * Returns the fields of an error printed before its own properties as
+ * `[key, value]` pairs: its name unless it is the name of its class, its
+ * message, the frames of its stack trace and its cause.
+ * @param {Error} node - The error.
+ */
+function errorFields(node) {
+	let fields = [];
+	let ctor = node.constructor;
+	if (!ctor || node.name !== ctor.name) {
+		fields.push(['name', node.name]);
+	}
+	fields.push(['message', node.message]);
+	let frames = typeof node.stack === 'string' ?
+		node.stack.split('\n').filter((line) => /^\s+at /.test(line)).map((line) => line.trim()) : [];
+	if (frames.length) {
+		fields.push(['stack', frames]);
+	}
+	if (Object.prototype.hasOwnProperty.call(node, 'cause')) {
+		fields.push(['cause', node.cause]);
+	}
+	return fields;
+}
+
+
+/**
+ * Returns the keys of the own properties of an error printed after its
+ * fields.
+ * @param {Printer} printer - The printer.
+ * @param {Error} node - The error.
+ * @param {Array} fields - The fields returned by {@link errorFields}.
+ */
+function errorKeys(printer, node, fields) {
+	let printed = new Set(fields.map((field) => field[0]).concat(['stack']));
+	return printer._ownKeys(node).filter((key) => !printed.has(key));
+}
+
+
+/**
+ * Returns the state of a promise: `pending`, `fulfilled` or `rejected`.
+ * Javascript has no API to query it synchronously, so it is read from the
+ * output of `util.inspect()`.
+ * @param {Promise} node - The promise.
+ */
+function promiseState(node) {
+	let match = /^[^{]*\{\s*<(pending|rejected)>/.exec(util.inspect(node, { depth: 0, customInspect: false }));
+	return match ? match[1] : 'fulfilled';
+}
+
+
+/**
+ * Returns the printing function of a boxed primitive, e.g. `Number(3)`.
+ * @param {function} Class - The class of the primitive, e.g. `Number`.
+ */
+function boxed(Class) {
+	return function(node) {
+		this._id(Class.name)._punct('(')._model(Class.prototype.valueOf.call(node))._punct(')');
+	};
+}
+
+
+/**
+ * The classes of boxed primitives. `BigInt` is missing before Node 10.4.
+ */
+const boxedClasses = [Number, String, Boolean, Symbol, global.BigInt]
+	.filter((Class) => typeof Class === 'function');
+
+
+/**
+ * Maps the prototypes of Javascript built-in classes to printing functions.
+ * They are used when a node has no printing function in a model map, also
+ * in raw mode. When a function is called, a `Printer` object is passed as
+ * `this`.
+ */
+const builtins = new Map([
+	[Map.prototype, function(node) {
+		printClass(this, node, 'Map');
+		printEntries(this, node, (entry) => {
+			this._model(entry[0])._punct(' => ')._model(entry[1]);
+		});
+	}],
+
+
+	[Set.prototype, function(node) {
+		printClass(this, node, 'Set');
+		printEntries(this, node, (item) => {
+			this._model(item);
+		});
+	}],
+
+
+	[Date.prototype, function(node) {
+		this._emit(isNaN(node.getTime()) ? 'Invalid Date' : node.toISOString(), 'number');
+	}],
+
+
+	[RegExp.prototype, function(node) {
+		this._emit(RegExp.prototype.toString.call(node), 'string');
+	}],
+
+
+	// the common prototype of typed arrays
+	[Object.getPrototypeOf(Uint8Array.prototype), function(node) {
+		printClass(this, node, 'TypedArray');
+		this._array(node);
+	}],
+
+
+	[Error.prototype, function(node) {
+		printClass(this, node, 'Error');
+		this._startBlock({
+			open: { value: '{ ' },
+			close: ' }',
+			terminator: { value: ';', breakValue: '' },
+		});
+		let fields = errorFields(node);
+		for (let field of fields) {
+			this._startItem()._key(field[0])._punct(" = ")._model(field[1])._endItem();
+		}
+		for (let key of errorKeys(this, node, fields)) {
+			this._startItem()._property(node, key)._endItem();
+		}
+		this._endBlock();
+	}],
+
+
+	[Promise.prototype, function(node) {
+		printClass(this, node, 'Promise');
+		this._punct('{ ')._annotation('@' + promiseState(node))._punct(' }');
+	}],
+].concat(boxedClasses.map((Class) => [Class.prototype, boxed(Class)])));
+
+
+/**
+ * Maps the printing functions of `builtins` to functions that visit the
+ * nodes they print, see the `childMap` of the program model classes.
+ */
+const childMap = new Map([
+	[Map.prototype, function(node, visit) {
+		for (let entry of Array.from(node).slice(0, this.options.maxItems)) {
+			visit(entry[0], true);
+			visit(entry[1], true);
+		}
+	}],
+
+
+	[Set.prototype, function(node, visit) {
+		Array.from(node).slice(0, this.options.maxItems).forEach((item) => visit(item, true));
+	}],
+
+
+	[Error.prototype, function(node, visit) {
+		let fields = errorFields(node);
+		let values = fields.map((field) => field[1]);
+		for (let key of errorKeys(this, node, fields)) {
+			let desc = Object.getOwnPropertyDescriptor(node, key);
+			values.push(desc.value);
+		}
+		values.slice(0, this.options.maxItems).forEach((value) => visit(value, true));
+	}],
+].concat([
+	// print no objects
+	Date.prototype,
+	RegExp.prototype,
+	Object.getPrototypeOf(Uint8Array.prototype),
+	Promise.prototype,
+].concat(boxedClasses.map((Class) => Class.prototype)).map((proto) => [proto, () => { }])).map((entry) => [builtins.get(entry[0]), entry[1]]));
+
+
+module.exports = {
+	builtins: builtins,
+	childMap: childMap
+};
@@ -0,0 +1,338 @@
+﻿"use strict";
+
+
+const fs = require('fs');
+const mm = require("metamaya");
+const index = require("./index");
+const theme = require("./theme");
+
+const usage = [
+	'Usage: metamaya-print [options] [file]',
+	'',
+	'Prints the program model of a metamaya program. Reads the standard input',
+	'if the file is omitted or it is "-".',
+	'',
+	'Options:',
+	'  -e, --eval <name>        Print the value of a definition instead of the',
+	'                           model. Can be repeated.',
+	'  -f, --format <format>    Output format: text (default), source, html,',
+	'                           json or dot.',
+	'  --raw                    Print models as raw objects.',
+	'  --annotate               Annotate models.',
+	'  --unreduce               Print unreduced expressions.',
+	'  --break-limit <n>        Maximal line width (default: 78).',
+	'  --indent-size <n>        Spaces per indentation level (default: 2).',
+	'  --no-colors              Don\'t use colors.',
+	'  --<option>[=<value>]     Any other printer option, e.g. --max-depth=3,',
+	'                           --theme=monokai, --no-infix.',
+	'  -h, --help               Print this help.',
+	''
+].join('\n');
+
+// Printer options by their command line names, mapped to value types.
+const printerOptions = {
+	'indent-size': 'number',
+	'line-break': 'string',
+	'raw': 'boolean',
+	'colors': 'boolean',
+	'theme': 'string',
+	'color-depth': 'number',
+	'annotate': 'boolean',
+	'break-limit': 'number',
+	'unreduce': 'boolean',
+	'max-depth': 'number',
+	'max-items': 'number',
+	'max-string-length': 'number',
+	'expand-shared': 'boolean',
+	'wrap-strings': 'boolean',
+	'closure-env': 'boolean',
+	'inherited': 'boolean',
+	'infix': 'boolean',
+	'outline': 'boolean',
+	'path': 'string',
+	'locations': 'boolean'
+};
+
+const formats = ['text', 'source', 'html', 'json', 'dot'];
+
+
+/**
+ * Raised on invalid command line arguments.
+ */
+class UsageError extends Error {
+}
+
+
+/**
+ * Runs the `metamaya-print` command.
+ *
+ * @param {string[]} args - Command line arguments.
+ * @param {Object} [io] - Overrides the streams and the file system.
+ * @param {Stream} [io.stdout=process.stdout] - The output.
+ * @param {Stream} [io.stderr=process.stderr] - The error output.
+ * @param {function} [io.readFile] - Reads a file as text. `-` is the
+ *                   standard input.
+ * @returns {number} the exit code: 0 on success, 1 if the program can't be
+ *                   read, compiled or printed, 2 on invalid arguments.
+ */
+function run(args, io = {}) {
+	let stdout = io.stdout || process.stdout;
+	let stderr = io.stderr || process.stderr;
+	let readFile = io.readFile || readText;
+	let cmd;
+	try {
+		cmd = parseArgs(args);
+	} catch (e) {
+		if (e instanceof UsageError) {
+			stderr.write('metamaya-print: ' + e.message + '\n\n' + usage);
+			return 2;
+		}
+		throw e;
+	}
+	if (cmd.help) {
+		stdout.write(usage);
+		return 0;
+	}
+	let name = cmd.file === '-' ? '<stdin>' : cmd.file;
+	let fail = (message) => {
+		stderr.write('metamaya-print: ' + message + '\n');
+		return 1;
+	};
+
+	let source;
+	try {
+		source = readFile(cmd.file);
+	} catch (e) {
+		return fail("can't read " + name + ": " + e.message);
+	}
+	let program;
+	try {
+		program = mm.compile(source);
+	} catch (e) {
+		return fail(location(name, e) + ': ' + e.message);
+	}
+
+	let values = [];
+	for (let def of cmd.eval) {
+		let definition;
+		try {
+			definition = program.get(def);
+		} catch (e) {
+			definition = undefined;
+		}
+		if (!definition) {
+			return fail("no definition named '" + def + "' in " + name);
+		}
+		try {
+			values.push([def, definition.value()]);
+		} catch (e) {
+			return fail("can't evaluate '" + def + "': " + e.message);
+		}
+	}
+
+	try {
+		print(cmd, program, values, stdout);
+	} catch (e) {
+		return fail(e.message);
+	}
+	return 0;
+}
+
+
+/**
+ * Prints the program model or the evaluated definitions.
+ * @param {Object} cmd - The parsed arguments.
+ * @param {any} program - The compiled program.
+ * @param {Array} values - `[name, value]` pairs of evaluated definitions.
+ * @param {Stream} out - The output stream.
+ */
+function print(cmd, program, values, out) {
+	let options = Object.assign({}, cmd.options);
+	if (cmd.format === 'json') {
+		let exporter = new index.JsonExporter(out, options);
+		let tree;
+		if (cmd.eval.length) {
+			tree = {};
+			for (let value of values) {
+				tree[value[0]] = exporter.export(value[1]);
+			}
+		} else {
+			tree = exporter.export(program);
+		}
+		out.write(JSON.stringify(tree, null, exporter.options.indentSize) + '\n');
+		return;
+	}
+	if (cmd.format === 'dot') {
+		// a graph per evaluated definition, named after the definition
+		let dot = new index.DotExporter(out, options);
+		let graphs = cmd.eval.length ?
+			values.map((value) => dot.stringify(value[1], { graphName: value[0] })) :
+			[dot.stringify(program)];
+		out.write(graphs.join('\n') + '\n');
+		return;
+	}
+	if (cmd.format === 'source') {
+		options.source = true;
+	}
+	if (options.colors === undefined) {
+		// detect colors from the output, not from the buffer
+		let depth = theme.colorDepth(out, true);
+		options.colors = depth > 1;
+		if (options.colorDepth === undefined && depth > 1) {
+			options.colorDepth = depth;
+		}
+	}
+	// format the output in memory, so nothing is printed on errors
+	let text = new index.MemoryTarget();
+	let printer = cmd.format === 'html' ?
+		new index.HtmlPrinter(text, options) : new index.Printer(text, options);
+	if (cmd.format === 'html') {
+		printer.begin(cmd.file === '-' ? 'metamaya' : cmd.file);
+	}
+	if (cmd.eval.length) {
+		for (let value of values) {
+			printer.print('%s = ', value[0]).model(value[1]).println();
+		}
+	} else {
+		printer.model(program).println();
+	}
+	if (cmd.format === 'html') {
+		printer.end();
+	}
+	out.write(text.text);
+}
+
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} args - The arguments.
+ * @returns {Object} `{ file, format, eval, options, help }`.
+ */
+function parseArgs(args) {
+	let cmd = { file: '-', format: 'text', eval: [], options: {}, help: false };
+	let files = [];
+	let i = 0;
+	let value = () => {
+		if (i + 1 >= args.length) {
+			throw new UsageError("missing value of " + args[i]);
+		}
+		return args[++i];
+	};
+	for (; i < args.length; ++i) {
+		let arg = args[i];
+		if (arg === '-h' || arg === '--help') {
+			cmd.help = true;
+		} else if (arg === '-e' || arg === '--eval') {
+			cmd.eval.push(value());
+		} else if (arg === '-f' || arg === '--format') {
+			cmd.format = value();
+			if (formats.indexOf(cmd.format) < 0) {
+				throw new UsageError("unknown format: " + cmd.format);
+			}
+		} else if (arg === '--') {
+			files.push(...args.slice(i + 1));
+			break;
+		} else if (arg.startsWith('--')) {
+			let eq = arg.indexOf('=');
+			let name = arg.substring(2, eq < 0 ? arg.length : eq);
+			let negated = name.startsWith('no-') && printerOptions[name.substring(3)] === 'boolean';
+			if (negated) {
+				name = name.substring(3);
+			}
+			let type = printerOptions[name];
+			if (!type) {
+				throw new UsageError("unknown option: " + arg);
+			}
+			let str;
+			if (eq >= 0) {
+				str = arg.substring(eq + 1);
+			} else if (type !== 'boolean') {
+				str = value();
+			}
+			cmd.options[camelCase(name)] = convert(arg, type, negated, str);
+		} else if (arg.startsWith('-') && arg !== '-') {
+			throw new UsageError("unknown option: " + arg);
+		} else {
+			files.push(arg);
+		}
+	}
+	if (files.length > 1) {
+		throw new UsageError("too many files: " + files.join(' '));
+	}
+	if (files.length) {
+		cmd.file = files[0];
+	}
+	return cmd;
+}
+
+
+/**
+ * Converts the value of an option.
+ * @param {string} arg - The argument, used in error messages.
+ * @param {string} type - Type of the option.
+ * @param {boolean} negated - The option is given as `--no-<option>`.
+ * @param {string} [str] - The value.
+ */
+function convert(arg, type, negated, str) {
+	if (type === 'boolean') {
+		if (str === undefined) {
+			return !negated;
+		}
+		if (str !== 'true' && str !== 'false') {
+			throw new UsageError("invalid value of " + arg);
+		}
+		return negated ? str !== 'true' : str === 'true';
+	}
+	if (type === 'number') {
+		let n = Number(str);
+		if (str === '' || isNaN(n)) {
+			throw new UsageError("invalid number: " + arg + (arg.indexOf('=') < 0 ? ' ' + str : ''));
+		}
+		return n;
+	}
+	return str;
+}
+
+
+/**
+ * Reads a file or the standard input if the file name is `-`.
+ * @param {string} file - Name of the file.
+ */
+function readText(file) {
+	return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+
+/**
+ * Converts a command line option name to an option name, e.g.
+ * `break-limit` to `breakLimit`.
+ * @param {string} name - The option name.
+ */
+function camelCase(name) {
+	return name.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+}
+
+
+/**
+ * Returns the location of a compile error, e.g. `file:3:5`. Syntax errors
+ * of PEG.js parsers have a `location` in the format documented by
+ * `sourceLocation()` in `index.js`, other errors may have `line` and
+ * `column` properties.
+ * @param {string} name - Name of the file.
+ * @param {Error} error - The error.
+ */
+function location(name, error) {
+	let start = error.location && error.location.start || {};
+	let line = error.line !== undefined ? error.line : start.line;
+	let column = error.column !== undefined ? error.column : start.column;
+	if (line === undefined) {
+		return name;
+	}
+	return name + ':' + line + (column !== undefined ? ':' + column : '');
+}
+
+
+module.exports = {
+	run: run,
+	parseArgs: parseArgs
+};
@@ -0,0 +1,438 @@
+﻿"use strict";
+
+
+const mm = require("metamaya/lib/implementation");
+
+// Token categories of the line markers.
+const markerStyles = {
+	' ': undefined,
+	'-': 'deleted',
+	'+': 'inserted',
+	'~': 'annotation'
+};
+
+
+/**
+ * Prints a structural diff of two program models, see
+ * {@link Printer#diff}.
+ * @param {Printer} printer - The printer.
+ * @param {any} before - The old model.
+ * @param {any} after - The new model.
+ */
+function printDiff(printer, before, after) {
+	// nodes are compared by their text printed in a single line
+	let flat = Object.create(printer);
+	flat.options = Object.assign({}, printer.options, {
+		colors: false,
+		breakLimit: Infinity,
+		maxDepth: undefined,
+		maxItems: undefined,
+		maxStringLength: undefined,
+		outline: false,
+		locations: false
+	});
+	let ctx = { printer: printer, flat: flat, texts: new Map() };
+	before = unwrap(before);
+	after = unwrap(after);
+	if (!same(ctx, before, after)) {
+		diffValues(ctx, null, before, after);
+	}
+}
+
+
+/**
+ * Prints the diff of two values. Constructors and arrays are compared
+ * item by item, other nodes printed by the same printing function child by
+ * child. Values that can't be compared are printed as a deleted and an
+ * inserted line.
+ * @param {Object} ctx - The state of the diff.
+ * @param {function} [head] - Prints the beginning of the first line, e.g.
+ *                   the key of a definition.
+ * @param {any} before - The old value.
+ * @param {any} after - The new value.
+ * @param {string} [annotation] - Printed after the first line.
+ */
+function diffValues(ctx, head, before, after, annotation) {
+	let printer = ctx.printer;
+	let brackets;
+	let diffItems;
+	if (before instanceof mm.model.Constructor && after instanceof mm.model.Constructor) {
+		brackets = '{}';
+		diffItems = diffStms;
+	} else if (Array.isArray(before) && Array.isArray(after)) {
+		brackets = '[]';
+		diffItems = diffArrays;
+	}
+	if (!brackets) {
+		let changed = changedChildren(ctx, before, after);
+		if (!changed) {
+			modelLine(ctx, '-', before, head);
+			modelLine(ctx, '+', after, head, annotation);
+			return;
+		}
+		// the context line
+		printer.elided = new Set(changed.map((pair) => pair[1]));
+		try {
+			modelLine(ctx, ' ', after, head, annotation);
+		} finally {
+			printer.elided = null;
+		}
+		printer.depth++;
+		try {
+			for (let pair of changed) {
+				diffValues(ctx, null, pair[0], pair[1]);
+			}
+		} finally {
+			printer.depth--;
+		}
+		return;
+	}
+	line(ctx, ' ', () => printer._punct(brackets[0]), head, annotation);
+	printer.depth++;
+	try {
+		diffItems(ctx, before, after);
+	} finally {
+		printer.depth--;
+	}
+	line(ctx, ' ', () => printer._punct(brackets[1]));
+}
+
+
+/**
+ * Prints the diff of the statements of two constructors. Definitions are
+ * matched by their keys. Definitions that are deleted and inserted with the
+ * same value are renamed, matched definitions that changed their order are
+ * moved.
+ */
+function diffStms(ctx, before, after) {
+	let bs = before.stms;
+	let as = after.stms;
+	let keys = new Map();
+	as.forEach((stm, j) => {
+		let key = stmKey(ctx, stm);
+		if (!keys.has(key)) {
+			keys.set(key, j);
+		}
+	});
+	// the matching statement of each statement or -1
+	let pairOfB = bs.map(() => -1);
+	let pairOfA = as.map(() => -1);
+	bs.forEach((stm, i) => {
+		let j = keys.get(stmKey(ctx, stm));
+		if (j !== undefined && pairOfA[j] < 0) {
+			pairOfB[i] = j;
+			pairOfA[j] = i;
+		}
+	});
+	let renamed = new Set();
+	bs.forEach((stm, i) => {
+		if (pairOfB[i] >= 0 || !(stm instanceof mm.model.Definition)) {
+			return;
+		}
+		let j = as.findIndex((other, k) => pairOfA[k] < 0 &&
+			other instanceof mm.model.Definition && same(ctx, stm.value, other.value));
+		if (j >= 0) {
+			pairOfB[i] = j;
+			pairOfA[j] = i;
+			renamed.add(j);
+		}
+	});
+	// statements that keep their order, the others are moved
+	let anchors = increasingSubsequence(pairOfB.filter((j) => j >= 0 && !renamed.has(j)));
+
+	let i = 0;
+	let j = 0;
+	while (i < bs.length || j < as.length) {
+		if (i < bs.length && pairOfB[i] < 0) {
+			modelLine(ctx, '-', bs[i]);
+			i++;
+		} else if (i < bs.length && !anchors.has(pairOfB[i])) {
+			// printed at its new position
+			i++;
+		} else if (pairOfA[j] < 0) {
+			modelLine(ctx, '+', as[j]);
+			j++;
+		} else if (renamed.has(j)) {
+			collapsedLine(ctx, '~', as[j], '@renamed from ' + String(bs[pairOfA[j]].key));
+			j++;
+		} else {
+			diffStm(ctx, bs[pairOfA[j]], as[j], anchors.has(j) ? undefined : '@moved');
+			if (anchors.has(j)) {
+				i++;
+			}
+			j++;
+		}
+	}
+}
+
+
+/**
+ * Prints the diff of two matching statements.
+ */
+function diffStm(ctx, before, after, annotation) {
+	let printer = ctx.printer;
+	if (same(ctx, before, after)) {
+		collapsedLine(ctx, ' ', after, annotation);
+	} else {
+		diffValues(ctx, () => printer._key(after.key)._punct(' = '),
+			before.value, after.value, annotation);
+	}
+}
+
+
+/**
+ * Prints the diff of the items of two arrays. Runs of unchanged items are
+ * collapsed into a single line.
+ */
+function diffArrays(ctx, before, after) {
+	let common = commonItems(ctx, before, after);
+	let i = 0;
+	let j = 0;
+	for (let k = 0; k <= common.length; ++k) {
+		let end = k < common.length ? common[k] : [before.length, after.length];
+		diffGap(ctx, before.slice(i, end[0]), after.slice(j, end[1]));
+		if (k === common.length) {
+			break;
+		}
+		// collapse the run of unchanged items
+		let run = 1;
+		while (k + run < common.length && common[k + run][0] === end[0] + run &&
+			common[k + run][1] === end[1] + run) {
+			run++;
+		}
+		elisionLine(ctx, '… ' + run + ' unchanged');
+		k += run - 1;
+		i = end[0] + run;
+		j = end[1] + run;
+	}
+}
+
+
+/**
+ * Prints the items deleted and inserted between two unchanged items. Items
+ * that replace each other at the same position are diffed.
+ */
+function diffGap(ctx, deleted, inserted) {
+	if (deleted.length === inserted.length) {
+		deleted.forEach((item, n) => diffValues(ctx, null, item, inserted[n]));
+	} else {
+		deleted.forEach((item) => modelLine(ctx, '-', item));
+		inserted.forEach((item) => modelLine(ctx, '+', item));
+	}
+}
+
+
+/**
+ * Prints a line of the diff with a marker in the margin.
+ * @param {Object} ctx - The state of the diff.
+ * @param {string} marker - ` `, `-`, `+` or `~`.
+ * @param {function} print - Prints the content of the line.
+ * @param {function} [head] - Prints the beginning of the line.
+ * @param {string} [annotation] - Printed at the end of the line.
+ */
+function line(ctx, marker, print, head, annotation) {
+	let printer = ctx.printer;
+	let margin = printer.margin;
+	printer.br();
+	printer.margin = (margin || []).concat([[marker + ' ', markerStyles[marker]]]);
+	try {
+		if (head) {
+			head();
+		}
+		print();
+		if (annotation) {
+			printer._punct(' ')._annotation(annotation);
+		}
+		printer.br();
+	} finally {
+		printer.margin = margin;
+	}
+}
+
+
+/**
+ * Prints a line of a model.
+ */
+function modelLine(ctx, marker, node, head, annotation) {
+	line(ctx, marker, () => ctx.printer.model(node), head, annotation);
+}
+
+
+/**
+ * Prints a line of a collapsed statement, e.g. `f = …`.
+ */
+function collapsedLine(ctx, marker, stm, annotation) {
+	let printer = ctx.printer;
+	line(ctx, marker, () => {
+		if (stm instanceof mm.model.Definition) {
+			printer._key(stm.key)._punct(' = ');
+		}
+		printer._elision('…');
+	}, null, annotation);
+}
+
+
+/**
+ * Prints a line of an elision, e.g. `… 3 unchanged`.
+ */
+function elisionLine(ctx, text) {
+	line(ctx, ' ', () => ctx.printer._elision(text));
+}
+
+
+/**
+ * Returns the children of two nodes that differ as `[before, after]` pairs,
+ * or undefined if the nodes must be compared as a whole: they aren't
+ * printed by the same printing function, they have a different number of
+ * children or a changed child is a primitive value. Children are visited in
+ * parallel in the order they are printed.
+ */
+function changedChildren(ctx, before, after) {
+	if (before === null || typeof before !== 'object' || after === null || typeof after !== 'object' ||
+		Array.isArray(before) || Array.isArray(after)) {
+		return undefined;
+	}
+	let printer = ctx.flat;
+	let fn = printer._printingFunctions(before)[0];
+	if (fn === undefined || fn !== printer._printingFunctions(after)[0]) {
+		return undefined;
+	}
+	let bs = children(printer, before);
+	let as = children(printer, after);
+	if (bs.length !== as.length) {
+		return undefined;
+	}
+	let changed = [];
+	for (let i = 0; i < bs.length; ++i) {
+		if (same(ctx, bs[i], as[i])) {
+			continue;
+		}
+		if (bs[i] === null || typeof bs[i] !== 'object' || as[i] === null || typeof as[i] !== 'object' ||
+			as.indexOf(as[i]) !== i) {
+			return undefined;
+		}
+		changed.push([bs[i], as[i]]);
+	}
+	return changed.length ? changed : undefined;
+}
+
+
+/**
+ * Returns the children of a node in the order they are printed.
+ */
+function children(printer, node) {
+	let walker = Object.create(printer);
+	walker.env = null;
+	let result = [];
+	walker._children(node, (child) => result.push(child));
+	return result;
+}
+
+
+/**
+ * Returns the key used to match a statement: the key of a definition or
+ * the text of other statements.
+ */
+function stmKey(ctx, stm) {
+	return stm instanceof mm.model.Definition ? 'def ' + String(stm.key) : 'stm ' + text(ctx, stm);
+}
+
+
+/**
+ * Returns true if two values are printed the same way.
+ */
+function same(ctx, a, b) {
+	return a === b || text(ctx, a) === text(ctx, b);
+}
+
+
+/**
+ * Returns the text of a value printed in a single line without colors.
+ */
+function text(ctx, node) {
+	if (node === null || typeof node !== 'object') {
+		return ctx.flat.sprint('%m', node);
+	}
+	let str = ctx.texts.get(node);
+	if (str === undefined) {
+		str = ctx.flat.sprint('%m', node);
+		ctx.texts.set(node, str);
+	}
+	return str;
+}
+
+
+/**
+ * Returns the index pairs of the longest common subsequence of two arrays.
+ */
+function commonItems(ctx, before, after) {
+	let n = before.length;
+	let m = after.length;
+	// lengths[i][j] is the length of the LCS of before[i:] and after[j:]
+	let lengths = [];
+	for (let i = n; i >= 0; --i) {
+		lengths[i] = [];
+		for (let j = m; j >= 0; --j) {
+			lengths[i][j] = i === n || j === m ? 0 :
+				same(ctx, before[i], after[j]) ? lengths[i + 1][j + 1] + 1 :
+				Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+		}
+	}
+	let pairs = [];
+	let i = 0;
+	let j = 0;
+	while (i < n && j < m) {
+		if (same(ctx, before[i], after[j])) {
+			pairs.push([i++, j++]);
+		} else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	return pairs;
+}
+
+
+/**
+ * Returns the items of a longest increasing subsequence of numbers.
+ * @param {number[]} numbers - Distinct numbers.
+ * @returns {Set} the items of the subsequence.
+ */
+function increasingSubsequence(numbers) {
+	// tails[k] is the index of the smallest tail of the subsequences of length k + 1
+	let tails = [];
+	let prev = [];
+	numbers.forEach((x, i) => {
+		let lo = 0;
+		let hi = tails.length;
+		while (lo < hi) {
+			let mid = Math.floor((lo + hi) / 2);
+			if (numbers[tails[mid]] < x) {
+				lo = mid + 1;
+			} else {
+				hi = mid;
+			}
+		}
+		prev[i] = lo > 0 ? tails[lo - 1] : -1;
+		tails[lo] = i;
+	});
+	let result = new Set();
+	for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) {
+		result.add(numbers[i]);
+	}
+	return result;
+}
+
+
+/**
+ * Returns the object of a wrapper, or the node itself.
+ */
+function unwrap(node) {
+	return node instanceof mm.Wrapper ? node.obj : node;
+}
+
+
+module.exports = {
+	printDiff: printDiff
+};
@@ -0,0 +1,171 @@
+﻿"use strict";
+
+
+const Printer = require("./index").Printer;
+
+
+// Attributes of the edges that point back to an ancestor, i.e. close a cycle.
+// They don't constrain the ranks, so the rest of the graph is laid out as a
+// tree.
+const backEdgeStyle = 'style=dashed, color=red, constraint=false';
+
+
+/**
+ * Constructs a Graphviz DOT exporter.
+ *
+ * @class
+ * @classdesc Exports program models as Graphviz DOT digraphs. Every object
+ * of the model is a node labelled with the name of its class (e.g.
+ * `Definition`, `Invocation`) and its scalar fields (`key = "f"`). Fields
+ * that refer to objects are edges labelled with the name of the field:
+ * `target`, `func`, `args[0]`, `body`, `env`. Objects that are referenced
+ * more than once are a single node. Edges that point to an ancestor of the
+ * object close a cycle and are dashed:
+ *
+ *     digraph model {
+ *       node [shape=box, fontname="monospace"];
+ *       n1 [label="Definition\nkey = \"f\""];
+ *       n2 [label="Function"];
+ *       n1 -> n2 [label="value"];
+ *     }
+ *
+ * Scalar values are formatted with the options of the printer, colors are
+ * turned off. `indentSize` is used to indent the DOT text.
+ * @extends Printer
+ * @param {Stream} [out] - The output stream used by `print()` and
+ *                 `model()`.
+ * @param {Object} [options] - Options of {@link Printer} and the following.
+ * @param {string} [options.graphName='model'] - Name of the digraph.
+ */
+function DotExporter(out, options = {}, depth = 0) {
+	Printer.call(this, out, Object.assign({ colors: false }, options), depth);
+}
+DotExporter.prototype = Object.assign(Object.create(Printer.prototype), {
+	constructor: DotExporter,
+
+
+	/**
+	 * Prints a program model as DOT text.
+	 *
+	 * @param {any} node - A program model node.
+	 * @param {Object} [options] - Overrides exporter options.
+	 * @returns the exporter.
+	 */
+	model(node, options) {
+		return this._emit(this.stringify(node, options));
+	},
+
+
+	/**
+	 * Returns a program model as DOT text.
+	 *
+	 * @param {any} node - A program model node.
+	 * @param {Object} [options] - Overrides exporter options.
+	 * @returns {string} the DOT text.
+	 */
+	stringify(node, options) {
+		let opts = Object.assign({}, this.options, options);
+		let graph = this.export(node, options);
+		let indent = ' '.repeat(opts.indentSize);
+		let lines = ['digraph ' + id(opts.graphName || 'model') + ' {'];
+		lines.push(indent + 'node [shape=box, fontname="monospace"];');
+		for (let n of graph.nodes) {
+			lines.push(indent + 'n' + n.id + ' [label=' + quote(n.label) + '];');
+		}
+		for (let e of graph.edges) {
+			lines.push(indent + 'n' + e.from + ' -> n' + e.to + ' [label=' + quote(e.label) +
+				(e.back ? ', ' + backEdgeStyle : '') + '];');
+		}
+		lines.push('}');
+		return lines.join('\n');
+	},
+
+
+	/**
+	 * Returns the graph of a program model.
+	 *
+	 * @param {any} node - A program model node.
+	 * @param {Object} [options] - Overrides exporter options.
+	 * @returns {Object} `{ nodes, edges }` where nodes are `{ id, label }`
+	 *                   objects in the order they are reached from `node`,
+	 *                   edges are `{ from, to, label, back }` objects. `back`
+	 *                   is true if `to` is an ancestor of `from`.
+	 */
+	export(node, options) {
+		let w = Object.create(this);
+		w.options = Object.assign({}, this.options, options, { colors: false, outline: false });
+		w.nodes = [];
+		w.edges = [];
+		w.ids = new Map();
+		w.path = new Set();
+		// formats the scalar values
+		w.labels = new Printer(null, w.options);
+		w._vertex(node);
+		return { nodes: w.nodes, edges: w.edges };
+	},
+
+
+	/**
+	 * Adds a node and the nodes reachable from it to the graph.
+	 * @returns {number} the id of the node.
+	 */
+	_vertex(node) {
+		let vertex = { id: this.nodes.length + 1, label: '' };
+		this.nodes.push(vertex);
+		if (node === null || typeof node !== 'object') {
+			vertex.label = this.labels.sprint('%m', node);
+			return vertex.id;
+		}
+		this.ids.set(node, vertex.id);
+		let fields = this._fields(node);
+		let lines = [fields.name];
+		for (let field of fields.scalars) {
+			lines.push(field[0] + ' = ' + (field[2] ? this._accessorLabel(field[2]) :
+				Array.isArray(field[1]) ? '[]' : this.labels.sprint('%m', field[1])));
+		}
+		vertex.label = lines.join('\n');
+		this.path.add(node);
+		for (let child of fields.children) {
+			this._edge(vertex.id, child[0], child[1]);
+		}
+		this.path.delete(node);
+		return vertex.id;
+	},
+
+
+	/**
+	 * Adds an edge of a field to the graph.
+	 */
+	_edge(from, label, node) {
+		let to = this.ids.get(node);
+		let back = to !== undefined && this.path.has(node);
+		let edge = { from: from, to: to, label: label, back: back };
+		this.edges.push(edge);
+		if (to === undefined) {
+			edge.to = this._vertex(node);
+		}
+	},
+});
+
+
+/**
+ * Returns a DOT identifier, quoted if necessary.
+ * @param {string} name - The identifier.
+ */
+function id(name) {
+	return /^[A-Za-z_][A-Za-z_0-9]*$/.test(name) ? name : quote(name);
+}
+
+
+/**
+ * Returns a DOT string literal.
+ * @param {string} str - The string.
+ */
+function quote(str) {
+	return '"' + String(str).replace(/[\\"]/g, '\\$&').replace(/\r?\n/g, '\\n') + '"';
+}
+
+
+module.exports = {
+	DotExporter: DotExporter
+};
@@ -0,0 +1,144 @@
+﻿"use strict";
+
+
+const Printer = require("./index").Printer;
+const theme = require("./theme");
+
+
+// Prefix of the CSS classes of the generated markup.
+const prefix = 'mm-';
+
+// Layout of the generated markup. Blocks are rendered as inline
+// `<details>` elements whose summary is the opening token.
+const baseStyle = [
+	'body { margin: 1em; background: #fff; color: #000; }',
+	'pre.' + prefix + 'output { font-family: Consolas, Menlo, monospace; }',
+	'.' + prefix + 'block, .' + prefix + 'block > summary { display: inline; }',
+	'.' + prefix + 'block > summary { cursor: pointer; list-style: none; }',
+	'.' + prefix + 'block > summary::-webkit-details-marker { display: none; }',
+	'.' + prefix + 'block > summary:hover { background: #eee; }',
+	'.' + prefix + 'block:not([open]) > summary::after { content: " … "; color: #888; }'
+].join('\n');
+
+const htmlEscapes = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;',
+	"'": '&#39;'
+};
+
+
+/**
+ * Constructs a printer that renders HTML markup.
+ *
+ * @class
+ * @classdesc Prints program models as HTML markup. Tokens are wrapped in
+ * `<span>` elements with a CSS class per token category (e.g.
+ * `mm-identifier`, `mm-string`) and every block is rendered as a
+ * collapsible `<details>` element. Use {@link HtmlPrinter#begin} and
+ * {@link HtmlPrinter#end} to produce a self-contained page.
+ * @extends Printer
+ * @param {Stream} out - The output stream.
+ * @param {string} [options] - Formatting options, see {@link Printer}.
+ *                 The `colors` option is ignored, the `theme` option
+ *                 defaults to `'light'` and determines the stylesheet of
+ *                 the page.
+ */
+function HtmlPrinter(out, options = {}, depth = 0) {
+	Printer.call(this, out, Object.assign({}, HtmlPrinter.defaultOptions, options), depth);
+}
+HtmlPrinter.defaultOptions = {
+	theme: 'light'
+};
+HtmlPrinter.prototype = Object.assign(Object.create(Printer.prototype), {
+	constructor: HtmlPrinter,
+
+
+	/**
+	 * Prints the beginning of a self-contained HTML page including the
+	 * stylesheet. Printed models should be followed by {@link end}.
+	 *
+	 * @param {string} [title] - Title of the page.
+	 * @returns the printer.
+	 */
+	begin(title = '') {
+		this.out.write(
+			'<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+			'<title>' + escapeHtml(title) + '</title>\n' +
+			'<style>\n' + this.stylesheet() + '\n</style>\n' +
+			'</head>\n<body>\n<pre class="' + prefix + 'output">');
+		this.lineLength = 0;
+		return this;
+	},
+
+
+	/**
+	 * Prints the end of a page started by {@link begin}.
+	 *
+	 * @returns the printer.
+	 */
+	end() {
+		this.out.write('</pre>\n</body>\n</html>\n');
+		this.lineLength = 0;
+		return this;
+	},
+
+
+	/**
+	 * Returns the CSS rules used by the markup.
+	 *
+	 * @returns {string} the stylesheet.
+	 */
+	stylesheet() {
+		return baseStyle + '\n' + theme.css(this.options.theme, prefix);
+	},
+
+
+	/* Layout */
+
+
+	_styled(value, style) {
+		value = escapeHtml(value);
+		if (typeof style === 'string') {
+			return '<span class="' + prefix + style + '">' + value + '</span>';
+		}
+		return value;
+	},
+
+
+	_startGroup(group) {
+		if (group.open) {
+			this.out.write('<details class="' + prefix + 'block" open><summary>');
+		}
+	},
+
+
+	_startContent(group) {
+		if (group.open) {
+			this.out.write('</summary>');
+		}
+	},
+
+
+	_endContent(group) {
+		if (group.open) {
+			this.out.write('</details>');
+		}
+	},
+});
+
+
+/**
+ * Escapes the characters of a string that have special meaning in HTML.
+ * @param {string} str - A string.
+ */
+function escapeHtml(str) {
+	return String(str).replace(/[&<>"']/g, (c) => htmlEscapes[c]);
+}
+
+
+module.exports = {
+	HtmlPrinter: HtmlPrinter,
+	escapeHtml: escapeHtml
+};
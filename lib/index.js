@@ -2,40 +2,119 @@
 
 
 const util = require('util');
-const colors = require('colors/safe');
+const layout = require("./layout");
+const theme = require("./theme");
+const unicode = require("./unicode");
 const modelMap = require("./modelMap");
+const builtins = require("./builtins");
+const targets = require("./targets");
+const sourcemap = require("./sourcemap");
+const modelPath = require("./path");
+const modelDiff = require("./diff");
+
+// functions that visit the nodes printed by the built-in printing functions
+const childMap = new Map([...modelMap.childMap, ...builtins.childMap]);
 
 const idRegex = /^[_$a-zA-Z\xA0-\uFFFF][_$a-zA-Z0-9\xA0-\uFFFF]*$/;
+// identifiers that must be quoted when used as keys in source mode
+const reservedWords = new Set(['this', 'null', 'undefined', 'true', 'false']);
+// placeholders that accept the `+` and space flags
+const signedPlaceholders = new Set(['d', 'i', 'f', 'x', 'X']);
 
 /**
  * Constructs a printer object.
  *
  * @class
  * @classdesc Prints program models in a human readable form, but doesn't
- * necessarily produce parsable code.
- * @param {Stream} out - The output stream.
+ * necessarily produce parsable code unless the `source` option is set.
+ * @param {Stream} [out] - The output stream. If omitted, the output is
+ *                 collected by a {@link MemoryTarget}.
  * @param {string} [options] - Formatting options.
  * @param {number} [options.indentSize] - Number of spaces used for an indentation level.
  * @param {string} [options.lineBreak='\n'] - The string used to print line breaks.
  * @param {boolean} [options.raw] - Print models as raw objects.
- * @param {boolean} [options.colors] - Use colors when printing models.
+ * @param {(boolean|string)} [options.colors='auto'] - Use colors when
+ *                  printing models. If it is `'auto'`, colors are used only
+ *                  if the output is a TTY and `NO_COLOR` is not set or empty.
+ * @param {(string|Object)} [options.theme='default'] - Name of a built-in
+ *                  color theme or an object mapping token categories to
+ *                  styles, see `Printer.themes`.
+ * @param {number} [options.colorDepth] - Color depth of the output: 4, 8
+ *                  or 24. Detected from the output by default.
  * @param {boolean} [options.annotate] - Annotate program models.
  * @param {number} [options.breakLimit=78] - Maximal line width.
  * @param {number} [options.unreduce] - Print unreduced expressions.
+ * @param {number} [options.maxDepth] - Blocks nested deeper than this are
+ *                  elided as `{ … }`.
+ * @param {number} [options.maxItems] - Maximal number of items printed in
+ *                  a block. The rest is elided as `… 42 more`.
+ * @param {number} [options.maxStringLength] - Maximal number of characters
+ *                  printed from a string.
+ * @param {boolean} [options.expandShared] - Print nodes that are referenced
+ *                  more than once in full at each occurrence instead of
+ *                  labelling them. Circular references are labelled anyway.
+ * @param {boolean} [options.wrapStrings] - Print multi-line strings and
+ *                  strings longer than `breakLimit` as concatenated pieces.
+ * @param {boolean} [options.closureEnv] - Print the environment bindings
+ *                  of closures that differ from the enclosing closure.
+ * @param {boolean} [options.inherited] - Print the inherited definitions
+ *                  of constructors instead of their base constructor.
+ * @param {boolean} [options.outline] - Print models as trees of their
+ *                  objects, one object per line labelled with its class
+ *                  and scalar fields.
+ * @param {boolean} [options.infix=true] - Print invocations of operator
+ *                  functions (e.g. `mul`, `and`, `neg`) as infix and prefix
+ *                  operators. If false, they are printed as function calls.
+ * @param {boolean} [options.locations] - Annotate nodes with the source
+ *                  locations attached to them, e.g. `@prog.mm:3:5`.
+ * @param {SourceMap} [options.sourceMap] - Collects the ranges of the
+ *                  output printed by the nodes of the models.
+ * @param {string} [options.path] - Print only the sub-models selected by
+ *                  a path, e.g. `body.f.body`, see {@link Printer#model}.
+ * @param {boolean} [options.source] - Print models as source code that can
+ *                  be parsed back with metamaya's parser. Implies that
+ *                  `raw`, `annotate` and the limits are turned off.
+ *                  Models that can't be represented as source code raise
+ *                  an error.
  */
 function Printer(out, options = {}, depth = 0) {
-	this.out = out;
-	this.options = Object.assign({}, Printer.defaultOptions, options);
+	this.out = out || new targets.MemoryTarget();
+	this.options = normalizeOptions(Object.assign({}, Printer.defaultOptions, options));
 
+	// printed nodes that are referred by labels
 	this.seen = new Map();
+	// nodes being printed, i.e. the ancestors of the current node
+	this.path = new Set();
+	// nodes referenced more than once, mapped to true if they are circular
+	this.shared = new Map();
+	// printing functions registered to this printer
+	this.modelMap = new Map();
+	// environment of the closure being printed
+	this.env = null;
+	// connectors of the ancestors in outline mode
+	this.outlinePrefix = '';
+	// `[text, style]` tokens printed at the beginning of each line before
+	// the indentation, e.g. the markers of diff lines
+	this.margin = null;
+	// nodes printed as `…`, e.g. the changed children on the context lines
+	// of a diff
+	this.elided = null;
+	// position of the output: line breaks and UTF-16 code units printed in
+	// the current line
+	this.line = 0;
+	this.column = 0;
+	// source map entries that start at the next printed token
+	this.pendingEntries = [];
 	this.lineLength = 0;
-	this.block = { depth: depth, terminator: ';' };
+	this.depth = depth;
+	this.group = null;
 }
 Printer.defaultOptions = {
 	indentSize: 2,
 	breakLimit: 78,
 	lineBreak: '\n',
-	colors: true
+	colors: 'auto',
+	theme: 'default'
 };
 Printer.prototype = {
 
@@ -49,10 +128,22 @@ Printer.prototype = {
 	 *
 	 * - `%s` - prints a string
 	 * - `%d` - prints a number (integer or floating point)
+	 * - `%i` - prints an integer
+	 * - `%f` - prints a floating point number
+	 * - `%x`, `%X` - prints an integer in hexadecimal
+	 * - `%j` - prints JSON text
 	 * - `%m` - prints a metamaya program model
+	 * - `%o` - prints a program model as a raw object
+	 * - `%%` - prints a percent sign
+	 *
+	 * Placeholders accept the flags, width and precision of `printf()`,
+	 * e.g. `%-12s`, `%08.3f`, `%#x`. Options of `%m` and `%o` placeholders
+	 * can be overridden in braces, e.g. `%{maxDepth=2,maxItems=10}m`.
+	 * More placeholders can be added to `Printer.placeholders`.
 	 *
-	 * Each placeholder consumes an argument. Excess arguments are printed
-	 * sequentially with a space used as separator.
+	 * Each placeholder consumes an argument. Placeholders without an
+	 * argument and unknown placeholders are printed as they are. Excess
+	 * arguments are printed sequentially with a space used as separator.
 	 *
 	 * @param {any} [fmt] - Format string or any other value.
 	 * @returns the printer.
@@ -62,40 +153,31 @@ Printer.prototype = {
 		if (typeof fmt === 'string') {
 			index++;
 			let lastPos = 0;
-			for (let pos = 0; pos < fmt.length;) {
-				if (fmt.charCodeAt(pos) === 37 && pos + 1 < fmt.length) {
-					let code = fmt.charCodeAt(pos+1);
-					if (code === 37) {
-						this._emit(fmt.substring(lastPos, pos+1));
-						lastPos = pos = pos + 2;
-						continue;
-					}
-					if (index >= arguments.length) {
-						// print escape sequence if there's no parameter to substitute
-						this._emit(fmt.substring(lastPos, pos+2));
-						lastPos = pos = pos + 2;
-						continue;
-					}
-					let arg = arguments[index++];
-					switch (code) {
-						case 100: // 'd'
-							this._emit(fmt.substring(lastPos, pos));
-							this._emit(String(Number(arg)));
-							lastPos = pos = pos + 2;
-							break;
-						case 109: // 'm'
-							this._emit(fmt.substring(lastPos, pos));
-							this.model(arg);
-							lastPos = pos = pos + 2;
-							break;
-						case 115: // 's'
-							this._emit(fmt.substring(lastPos, pos));
-							this._emit(String(arg));
-							lastPos = pos = pos + 2;
-							break;
-					}
-				} else {
-					pos++;
+			let re = /%(?:\{([^}]*)\})?([-+ 0#]*)(\d*)(?:\.(\d*))?([\s\S])/g;
+			for (let match; (match = re.exec(fmt)) !== null;) {
+				let name = match[5];
+				let format = Printer.placeholders.get(name);
+				if (/[+ ]/.test(match[2]) && !signedPlaceholders.has(name) ||
+					name !== '%' && (!format || index >= arguments.length)) {
+					// print unknown placeholders, those without an argument and
+					// sign flags of non-numeric placeholders, e.g. `100% sure`
+					continue;
+				}
+				this._emit(fmt.substring(lastPos, match.index));
+				lastPos = re.lastIndex;
+				if (name === '%') {
+					this._emit('%');
+					continue;
+				}
+				let spec = {
+					flags: match[2],
+					width: match[3] ? Number(match[3]) : undefined,
+					precision: match[4] !== undefined ? Number(match[4]) : undefined,
+					options: match[1] !== undefined ? parseOptions(match[1]) : undefined
+				};
+				let text = format.call(this, arguments[index++], spec);
+				if (text !== undefined) {
+					this._emit(pad(String(text), spec));
 				}
 			}
 			this._emit(fmt.substring(lastPos));
@@ -111,6 +193,34 @@ Printer.prototype = {
 	},
 
 
+	/**
+	 * The same as {@link print} but returns the formatted string instead of
+	 * printing it. The string is formatted with the options and printing
+	 * functions of the printer at no indentation.
+	 *
+	 * @param {any} [fmt] - Format string or any other value.
+	 * @returns {string} the formatted string.
+	 */
+	sprint(fmt) {
+		let printer = Object.create(this);
+		printer.out = new targets.MemoryTarget();
+		// the themes compiled for the target are dropped with it
+		printer.styles = undefined;
+		printer.seen = new Map();
+		printer.path = new Set();
+		printer.shared = new Map();
+		printer.env = null;
+		printer.margin = null;
+		printer.elided = null;
+		printer.line = printer.column = 0;
+		printer.pendingEntries = [];
+		printer.lineLength = 0;
+		printer.depth = 0;
+		printer.group = null;
+		return printer.print(...arguments).out.text;
+	},
+
+
 	/**
 	 * The same as {@link print} but prints a line break after printing
 	 * all of its arguments.
@@ -120,9 +230,7 @@ Printer.prototype = {
 	 */
 	println(fmt) {
 		this.print(...arguments);
-		this.out.write(this.options.lineBreak);
-		this.lineLength = 0;
-		return this;
+		return this._newline();
 	},
 
 
@@ -132,9 +240,8 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	br() {
-		if (this.lineLength) {
-			this.out.write(this.options.lineBreak);
-			this.lineLength = 0;
+		if (this.group || this.lineLength) {
+			this._newline();
 		}
 		return this;
 	},
@@ -149,19 +256,146 @@ Printer.prototype = {
 	rule(chr = '-') {
 		let len = this.options.breakLimit - this.lineLength;
 		if (len < 16) { len = 16; }
-		return this._emit(chr.repeat(len)).br();
+		let w = layout.width(chr) || 1;
+		return this._emit(chr.repeat(Math.max(1, Math.floor(len / w)))).br();
 	},
 
 
 	/**
 	 * Prints an arbitrary program model with syntax highlight.
+	 * Nodes referenced more than once are labelled at their first occurrence
+	 * (`#1= ...`) and printed as references later (`#1#`).
+	 * In `source` mode it throws an error if the model can't be printed as
+	 * source code. Nothing is printed from the incomplete model in that case
+	 * unless it is printed in the middle of a block.
+	 *
+	 * If the `path` option is given, only the sub-models selected by the
+	 * path are printed, each preceded by a breadcrumb line of the keys that
+	 * lead to it, e.g. `body › f › body`. No breadcrumbs are printed in
+	 * `source` mode.
 	 *
 	 * @param {any} node - A program model node.
+	 * @param {Object} [options] - Overrides printer options while printing
+	 *                             the model.
 	 * @returns the printer.
 	 */
-	model(node) {
-		this.seen.clear();
-		return this._model(node);
+	model(node, options) {
+		let saved = this.options;
+		if (options) {
+			this.options = normalizeOptions(Object.assign({}, saved, options));
+		}
+		let group = this.group;
+		try {
+			let path = this.options.path;
+			let matches = path === undefined || path === '' ?
+				[{ node: node, crumbs: [] }] : modelPath.select(node, path);
+			for (let i = 0; i < matches.length; ++i) {
+				let crumbs = matches[i].crumbs;
+				if (i > 0) {
+					this._newline();
+				}
+				if (crumbs.length && !this.options.source) {
+					this._annotation(modelPath.joinCrumbs(crumbs, ' › '))._newline();
+				}
+				this.seen.clear();
+				this.path.clear();
+				this.env = null;
+				this.outlinePrefix = '';
+				this.shared = this._findShared(matches[i].node);
+				this._model(matches[i].node);
+			}
+			return this;
+		} catch (e) {
+			this.group = group;
+			throw e;
+		} finally {
+			this.options = saved;
+		}
+	},
+
+
+	/**
+	 * Prints a structural diff of two program models in unified diff style.
+	 * Constructors are compared definition by definition and arrays item by
+	 * item. Other nodes printed by the same printing function are compared
+	 * child by child: a context line prints the new node with its changed
+	 * children elided, e.g. `g = f(…)`, followed by the diffs of the
+	 * changed children. Nodes whose primitive values changed are compared
+	 * as a whole by their printed text. Each line starts with a marker:
+	 *
+	 * - `-` - a deleted node or the old version of a changed node
+	 * - `+` - an inserted node or the new version of a changed node
+	 * - `~` - a renamed definition, annotated with its old key
+	 * - a space - unchanged nodes, collapsed to `key = …` or
+	 *   `… 3 unchanged`, and the brackets of the compared blocks
+	 *
+	 * Definitions that changed their order are annotated as `@moved`.
+	 * Nothing is printed if the models are the same.
+	 *
+	 * @param {any} before - The old program model.
+	 * @param {any} after - The new program model.
+	 * @param {Object} [options] - Overrides printer options while printing
+	 *                             the diff.
+	 * @returns the printer.
+	 */
+	diff(before, after, options) {
+		let saved = this.options;
+		this.options = normalizeOptions(Object.assign({}, saved, options, { path: undefined }));
+		try {
+			modelDiff.printDiff(this, before, after);
+			return this;
+		} finally {
+			this.options = saved;
+		}
+	},
+
+
+	/**
+	 * Prints the source lines of a node with a caret underline under its
+	 * span, preceded by its location and surrounded by a line of context:
+	 *
+	 *     prog.mm:1:8
+	 *     > 1 | f(x) = x * x; a = f(5)
+	 *         |        ^^^^^
+	 *       2 | b = 3
+	 *
+	 * The span is taken from the source location attached to the node,
+	 * see the `locations` option.
+	 *
+	 * @param {object} node - A program model node.
+	 * @param {string} source - The source code the node was parsed from.
+	 * @returns the printer.
+	 * @throws {Error} if the node has no source location.
+	 */
+	codeFrame(node, source) {
+		let loc = node !== null && typeof node === 'object' ? sourceLocation(node) : undefined;
+		if (!loc) {
+			throw new Error("No source location recorded for the node");
+		}
+		let lines = String(source).split(/\r\n|\r|\n/);
+		let start = loc.start;
+		let end = loc.end || loc.start;
+		let first = Math.max(start.line - 1, 1);
+		let last = Math.min(end.line + 1, lines.length);
+		let gutter = String(last).length;
+		this.br()._annotation(formatLocation(loc))._newline();
+		for (let n = first; n <= last; ++n) {
+			let text = lines[n - 1];
+			let marked = n >= start.line && n <= end.line;
+			this._emit({ value: (marked ? '> ' : '  ') + String(n).padStart(gutter), keepSpaces: true },
+				'annotation')._punct(text ? ' | ' + text : ' |')._newline();
+			let from = n === start.line ? start.column - 1 : 0;
+			let to = n === end.line ? end.column - 1 : text.length;
+			if (marked && (to > from || n === start.line)) {
+				// tabs are kept, so the carets are aligned with the text above
+				let indent = Array.from(text.substring(0, from),
+					(chr) => chr === '\t' ? chr : ' '.repeat(layout.width(chr))).join('');
+				let carets = '^'.repeat(Math.max(1, layout.width(text.substring(from, to))));
+				this._emit({ value: ' '.repeat(gutter + 2) + ' | ' + indent, keepSpaces: true }, 'punctuation')
+					._emit(carets, 'error')._newline();
+			}
+		}
+		return this;
 	},
 
 
@@ -170,7 +404,8 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	indent() {
-		return this._startBlock({ open: '', close: '' });
+		this.depth++;
+		return this;
 	},
 
 
@@ -179,7 +414,30 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	unindent() {
-		return this._endBlock();
+		if (this.depth > 0) {
+			this.depth--;
+		}
+		return this;
+	},
+
+
+	/**
+	 * Registers a printing function of a class for this printer only.
+	 * It takes precedence over the function registered in
+	 * `Printer.modelMap` for the same class and applies to subclasses
+	 * unless they have their own printing function.
+	 *
+	 * The printing function is called with the printer as `this`, the node
+	 * and a `next` function that prints the node as it would be printed
+	 * without this printing function.
+	 *
+	 * @param {function} Class - A constructor, e.g. `mm.model.Closure`.
+	 * @param {function} fn - The printing function: `fn(node, next)`.
+	 * @returns the printer.
+	 */
+	register(Class, fn) {
+		this.modelMap.set(Class.prototype, fn);
+		return this;
 	},
 
 
@@ -187,36 +445,45 @@ Printer.prototype = {
 
 
 	/**
-	 * Prints a program model. Doesn't clear the circular reference detection
-	 * set, so it can be called recursively.
+	 * Prints a program model. Doesn't clear the shared reference tracking
+	 * state, so it can be called recursively.
 	 *
 	 * @param {any} node - A program model node.
 	 * @returns the printer.
 	 */
 	_model(node) {
+		if (this.group && this.group.skipping) {
+			// the node is elided
+			return this;
+		}
 		if (node === undefined) {
 			this._keyword('undefined');
+		} else if (node === null) {
+			this._keyword('null');
 		} else if (typeof node === 'object') {
-			let s = this.seen.get(node);
-			if (s) {
-				return this._emit(s, colors.red);
-			}
-			this.seen.set(node, "@circular");
-			if (node === null) {
-				this._keyword('null');
-			} else if (Array.isArray(node)) {
-				this._array(node);
-			} else if (!this.options.raw) {
-				let f = Printer.modelMap.get(Object.getPrototypeOf(node));
-				if (f) {
-					f.call(this, node);
-				} else {
-					this._object(node);
+			if (this.elided && this.elided.has(node)) {
+				return this._elision('…');
+			}
+			let map = this.options.sourceMap;
+			let entry = map ? { node: node, start: undefined, end: undefined } : null;
+			if (entry) {
+				this._mark({ map: map, entry: entry, start: true });
+			}
+			if (!this._reference(node)) {
+				this.path.add(node);
+				if (this.options.locations) {
+					this._location(node);
 				}
-			} else {
-				this._object(node);
+				this._dispatch(node);
+				this.path.delete(node);
+			}
+			if (entry) {
+				this._mark({ map: map, entry: entry, start: false });
 			}
 		} else if (typeof node === 'function') {
+			if (this.options.source) {
+				throw sourceError("function " + (node.name || '<anonymous-function>'));
+			}
 			let name = node.name;
 			if (name) {
 				this._id(name);
@@ -226,9 +493,202 @@ Printer.prototype = {
 		} else if (typeof node === 'string') {
 			this._string(node);
 		} else if (typeof node === 'number') {
-			this._emit(node.toString(), colors.yellow);
+			if (this.options.source && !isFinite(node)) {
+				throw sourceError("number " + node);
+			}
+			this._emit(Object.is(node, -0) ? '-0' : node.toString(), 'number');
+		} else {
+			if (this.options.source && typeof node !== 'boolean') {
+				throw sourceError(typeof node + " " + String(node));
+			}
+			if (typeof node === 'bigint') {
+				this._emit(node.toString() + 'n', 'number');
+			} else if (typeof node === 'symbol') {
+				this._emit(node.toString(), 'identifier');
+			} else {
+				this._emit(node.toString());
+			}
+		}
+		return this;
+	},
+
+
+	/**
+	 * Calls the printing function of an object according to its type.
+	 * Printing functions are looked up along the prototype chain of the
+	 * object, the ones registered to the printer first, then the ones of
+	 * Javascript built-in classes like `Map` and `Date`, which are used in
+	 * raw mode too. Objects without a printing function are printed by
+	 * {@link _object}. In outline mode every object is printed by
+	 * {@link _outline}.
+	 *
+	 * @param {object} node - A program model node, array or object.
+	 * @returns the printer.
+	 */
+	_dispatch(node) {
+		if (this.options.outline) {
+			this._outline(node);
+		} else if (Array.isArray(node)) {
+			this._array(node);
+		} else {
+			let fns = this._printingFunctions(node);
+			let next = (i) => {
+				if (i < fns.length) {
+					fns[i].call(this, node, () => next(i + 1));
+				} else {
+					this._object(node);
+				}
+			};
+			next(0);
+		}
+		return this;
+	},
+
+
+	/**
+	 * Returns the printing functions of an object in the order they are
+	 * called by {@link _dispatch}.
+	 *
+	 * @param {object} node - A program model node or object.
+	 * @returns {function[]} the printing functions.
+	 */
+	_printingFunctions(node) {
+		let maps = this.options.raw ? [] : [this.modelMap, Printer.modelMap];
+		if (!this.options.source) {
+			// there's no source syntax for built-in objects, _object() throws
+			maps.push(builtins.builtins);
+		}
+		let fns = [];
+		for (let proto = Object.getPrototypeOf(node); proto; proto = Object.getPrototypeOf(proto)) {
+			for (let map of maps) {
+				if (map.has(proto)) {
+					fns.push(map.get(proto));
+				}
+			}
+		}
+		return fns;
+	},
+
+
+	/**
+	 * Handles nodes that are referenced more than once. Prints a reference
+	 * if the node has already been printed, otherwise labels the node if
+	 * necessary.
+	 *
+	 * @param {object} node - A program model node.
+	 * @returns {boolean} true if a reference was printed in place of the
+	 *                    node.
+	 */
+	_reference(node) {
+		let ref = this.seen.get(node);
+		if (ref) {
+			// references to ancestors are circular
+			this._emit(ref, this.path.has(node) ? 'error' : 'annotation');
+			return true;
+		}
+		let circular = this.shared.get(node);
+		if (circular && this.options.source) {
+			throw sourceError("circular reference");
+		}
+		if (circular || circular === false && !this.options.expandShared &&
+			!this.options.source) {
+			let label = '#' + (this.seen.size + 1);
+			this.seen.set(node, label + '#');
+			this._emit(label + '= ', 'annotation');
+		}
+		return false;
+	},
+
+
+	/**
+	 * Returns the nodes of a model that are referenced more than once.
+	 * Walks the nodes that the printing functions print without printing
+	 * them, see {@link _children}. Nodes in blocks elided by `maxDepth`
+	 * aren't walked.
+	 *
+	 * @param {any} node - A program model node.
+	 * @returns {Map} nodes mapped to true if they are circular.
+	 */
+	_findShared(node) {
+		// visited nodes mapped to null, or to true if they are circular
+		let visits = new Map();
+		let path = new Set();
+		let walker = Object.create(this);
+		walker.env = null;
+		let maxDepth = this.options.maxDepth;
+		// level: number of blocks enclosing the node, see _startBlock
+		let visit = (node, level) => {
+			if (node === null || typeof node !== 'object' || level > maxDepth) {
+				return;
+			}
+			if (visits.has(node)) {
+				visits.set(node, visits.get(node) || path.has(node));
+				return;
+			}
+			visits.set(node, null);
+			path.add(node);
+			walker._children(node, (child, nested) => visit(child, nested ? level + 1 : level));
+			path.delete(node);
+		};
+		visit(node, this.group ? this.group.level : 0);
+		let shared = new Map();
+		for (let entry of visits) {
+			if (entry[1] !== null) {
+				shared.set(entry[0], entry[1]);
+			}
+		}
+		return shared;
+	},
+
+
+	/**
+	 * Visits the nodes that {@link _dispatch} prints as the children of an
+	 * object. Built-in printing functions have a function in
+	 * `Printer.childMap` that visits their children. The children of an
+	 * object are visited by the entry of the first function in its chain of
+	 * printing functions that has one, so functions that delegate to the
+	 * next one with `next()` needn't have an entry. Objects printed by
+	 * other printing functions are walked like {@link _object} prints them.
+	 *
+	 * @param {object} node - A program model node, array or object.
+	 * @param {function} visit - Called with each child and true if the
+	 *                   child is printed in a block of the node.
+	 */
+	_children(node, visit) {
+		if (this.options.outline) {
+			// outlines have no blocks
+			this._fields(node).children.forEach((child) => visit(child[1], false));
+			return;
+		}
+		let items;
+		if (Array.isArray(node)) {
+			items = node.slice(0, this.options.maxItems);
 		} else {
-			this._emit(node.toString());
+			let fn = this._printingFunctions(node).find((fn) => Printer.childMap.has(fn));
+			if (fn) {
+				Printer.childMap.get(fn).call(this, node, visit);
+				return;
+			}
+			items = this._ownKeys(node).slice(0, this.options.maxItems).map((key) => {
+				let desc = Object.getOwnPropertyDescriptor(node, key);
+				return desc.value;
+			});
+		}
+		items.forEach((item) => visit(item, true));
+	},
+
+
+	/**
+	 * Prints the source location of a node as an annotation, e.g.
+	 * `@prog.mm:3:5 `, if it has one.
+	 *
+	 * @param {object} node - A program model node.
+	 * @returns the printer.
+	 */
+	_location(node) {
+		let loc = sourceLocation(node);
+		if (loc) {
+			this._annotation('@' + formatLocation(loc))._emit(' ');
 		}
 		return this;
 	},
@@ -241,9 +701,8 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	_array(node) {
-		this.seen.set(node, '@circular[array]');
 		if (node.length === 0) {
-			this._emit("[]");
+			this._punct("[]");
 		} else {
 			this._startBlock({
 				open: { value: '[' },
@@ -261,13 +720,18 @@ Printer.prototype = {
 
 
 	/**
-	 * Prints an object with metamaya syntax.
+	 * Prints an object with metamaya syntax. Its own enumerable properties
+	 * are printed, symbol keys included. In `annotate` mode non-enumerable
+	 * properties are printed too and frozen, sealed or non-extensible
+	 * objects are annotated, e.g. `@frozen { x = 1; }`.
 	 *
 	 * @param {object} node - A metamaya object or plain Javascript object.
 	 * @returns the printer.
 	 */
 	_object(node) {
-		this.seen.set(node, '@circular[object]');
+		if (this.options.source && !isPlainObject(node)) {
+			throw sourceError("object of class " + node.constructor.name);
+		}
 		if (node.constructor != null) {
 			if (node.constructor !== Object) {
 				if (typeof node.constructor.name === "string") {
@@ -275,9 +739,16 @@ Printer.prototype = {
 				}
 			}
 		}
-		let keys = Object.keys(node);
+		if (this.options.annotate) {
+			let state = Object.isFrozen(node) ? '@frozen' : Object.isSealed(node) ? '@sealed' :
+				!Object.isExtensible(node) ? '@nonextensible' : '';
+			if (state) {
+				this._annotation(state)._emit(' ');
+			}
+		}
+		let keys = this._ownKeys(node);
 		if (keys.length === 0) {
-			this._emit("{}");
+			this._punct("{}");
 		} else {
 			this._startBlock({
 				open: { value: '{ ' },
@@ -285,7 +756,7 @@ Printer.prototype = {
 				terminator: { value: ';', breakValue: '' },
 			});
 			for (let key of keys) {
-				this._startItem()._key(key)._emit(" = ")._model(node[key])._endItem();
+				this._startItem()._property(node, key)._endItem();
 			}
 			return this._endBlock();
 		}
@@ -293,6 +764,166 @@ Printer.prototype = {
 	},
 
 
+	/**
+	 * Returns the keys of the own properties of an object that are printed:
+	 * the enumerable ones, or all of them in `annotate` mode. String keys
+	 * precede symbol keys.
+	 *
+	 * @param {object} node - An object.
+	 * @returns {Array} the keys.
+	 */
+	_ownKeys(node) {
+		return Reflect.ownKeys(node).filter((key) => this.options.annotate ||
+			Object.prototype.propertyIsEnumerable.call(node, key));
+	},
+
+
+	/**
+	 * Prints an own property of an object, e.g. `x = 1`. Accessor
+	 * properties are printed as `[Getter]`, `[Setter]` or
+	 * `[Getter/Setter]`, they aren't invoked. In `annotate` mode
+	 * non-enumerable and read-only properties are annotated, e.g.
+	 * `@nonenumerable @readonly x = 1`.
+	 *
+	 * @param {object} node - The object.
+	 * @param {(string|symbol)} key - The key of the property.
+	 * @returns the printer.
+	 */
+	_property(node, key) {
+		let desc = Object.getOwnPropertyDescriptor(node, key);
+		let accessor = !('value' in desc);
+		if (this.options.annotate) {
+			if (!desc.enumerable) {
+				this._annotation('@nonenumerable')._emit(' ');
+			}
+			// all properties of frozen objects are read-only
+			if (!accessor && !desc.writable && !Object.isFrozen(node)) {
+				this._annotation('@readonly')._emit(' ');
+			}
+		}
+		this._key(key)._punct(" = ");
+		if (!accessor) {
+			return this._model(desc.value);
+		}
+		if (this.options.source) {
+			throw sourceError("accessor property " + String(key));
+		}
+		return this._accessor(desc);
+	},
+
+
+	/**
+	 * Prints an accessor property in place of its value: `[Getter]`,
+	 * `[Setter]` or `[Getter/Setter]`. The accessors aren't invoked.
+	 *
+	 * @param {Object} desc - The property descriptor.
+	 * @returns the printer.
+	 */
+	_accessor(desc) {
+		return this._annotation(this._accessorLabel(desc));
+	},
+
+
+	/**
+	 * Returns the text printed in place of the value of an accessor
+	 * property.
+	 *
+	 * @param {Object} desc - The property descriptor.
+	 * @returns {string} `[Getter]`, `[Setter]` or `[Getter/Setter]`.
+	 */
+	_accessorLabel(desc) {
+		return !desc.set ? '[Getter]' : desc.get ? '[Getter/Setter]' : '[Setter]';
+	},
+
+
+	/**
+	 * Prints an object as a tree. The first line is the class of the object
+	 * followed by its scalar fields, e.g. `Definition key="f"`. Objects
+	 * referenced by its fields and the items of its arrays are printed in
+	 * the following lines, connected by box-drawing characters:
+	 * `├─ value: Function`, `└─ args[0]: KeyReference key="x"`.
+	 *
+	 * @param {object} node - A program model node, array or object.
+	 * @returns the printer.
+	 */
+	_outline(node) {
+		let fields = this._fields(node);
+		this._id(fields.name);
+		if (Array.isArray(node) && node.length === 0) {
+			this._punct(' []');
+		}
+		for (let field of fields.scalars) {
+			this._punct(' ')._emit(field[0], 'key')._punct('=');
+			if (field[2]) {
+				this._accessor(field[2]);
+			} else if (Array.isArray(field[1])) {
+				this._punct('[]');
+			} else {
+				this._model(field[1]);
+			}
+		}
+		let children = fields.children;
+		let prefix = this.outlinePrefix;
+		children.forEach((child, i) => {
+			let last = i === children.length - 1;
+			this._newline()._emit({ value: prefix + (last ? '└─ ' : '├─ '), keepSpaces: true }, 'punctuation');
+			this._emit(child[0], 'key')._punct(': ');
+			this.outlinePrefix = prefix + (last ? '   ' : '│  ');
+			this._model(child[1]);
+		});
+		this.outlinePrefix = prefix;
+		return this;
+	},
+
+
+	/**
+	 * Returns the fields of an object used by {@link _outline} and the
+	 * exporters that print models as graphs. Fields that refer to objects
+	 * are children, array items are children labelled by their index, e.g.
+	 * `args[0]`. Primitive values and empty arrays are scalars. Properties
+	 * are read through their descriptors, accessor properties are scalars
+	 * whose descriptor is the third item of the pair, they aren't invoked.
+	 *
+	 * @param {object} node - A program model node, array, map or object.
+	 * @returns {Object} `{ name, scalars, children }` where `name` is the
+	 *                   name of the class of the object, `scalars` and
+	 *                   `children` are arrays of `[label, value]` pairs.
+	 */
+	_fields(node) {
+		let fields;
+		if (Array.isArray(node)) {
+			fields = node.map((item, i) => ['[' + i + ']', item]);
+		} else if (node instanceof Map) {
+			fields = Array.from(node, (entry) => [String(entry[0]), entry[1]]);
+		} else {
+			fields = Object.keys(node).map((key) => {
+				let desc = Object.getOwnPropertyDescriptor(node, key);
+				return 'value' in desc ? [key, desc.value] : [key, undefined, desc];
+			});
+		}
+		let ctor = node.constructor;
+		let name = Array.isArray(node) ? 'Array' : typeof ctor === 'function' &&
+			typeof ctor.name === 'string' && ctor.name || 'Object';
+		let scalars = [];
+		let children = [];
+		for (let field of fields) {
+			let value = field[1];
+			if (field[2]) {
+				scalars.push(field);
+			} else if (Array.isArray(value) && value.length > 0) {
+				for (let i = 0; i < value.length; ++i) {
+					children.push([field[0] + '[' + i + ']', value[i]]);
+				}
+			} else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+				children.push(field);
+			} else {
+				scalars.push(field);
+			}
+		}
+		return { name: name, scalars: scalars, children: children };
+	},
+
+
 	/**
 	 * Prints a parenthesized, comma separated list of models.
 	 *
@@ -301,7 +932,7 @@ Printer.prototype = {
 	 */
 	_parenList(items) {
 		if (items.length === 0) {
-			this._emit("()");
+			this._punct("()");
 		} else {
 			this._startBlock({
 				open: '(',
@@ -324,15 +955,25 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	_key(key) {
-		if (this._isIdentifier(key)) {
-			this._id(key);
+		if (this._bracketsKey(key)) {
+			this._punct("[")._model(key)._punct("]");
 		} else {
-			this._emit("[")._model(key)._emit("]");
+			this._emit(key, 'key');
 		}
 		return this;
 	},
 
 
+	/**
+	 * Returns true if {@link _key} prints a key in brackets, e.g. `["a b"]`.
+	 *
+	 * @param {(string|number|symbol)} key - A property key.
+	 */
+	_bracketsKey(key) {
+		return !this._isIdentifier(key) || this.options.source && reservedWords.has(key);
+	},
+
+
 	/**
 	 * Prints an identifier with syntax highlight.
 	 *
@@ -340,7 +981,7 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	_id(key) {
-		this._emit(key.toString(), colors.cyan);
+		this._emit(key.toString(), 'identifier');
 		return this;
 	},
 
@@ -352,44 +993,155 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	_keyword(word) {
-		this._emit(word, colors.magenta);
+		this._emit(word, 'keyword');
 		return this;
 	},
 
 
+	/**
+	 * Prints an annotation, e.g. `@ctor`, with syntax highlight.
+	 *
+	 * @param {string} text - The annotation.
+	 * @returns the printer.
+	 */
+	_annotation(text) {
+		return this._emit(text, 'annotation');
+	},
+
+
+	/**
+	 * Prints punctuation, e.g. operators and brackets, with syntax
+	 * highlight.
+	 *
+	 * @param {string} text - Punctuation characters.
+	 * @returns the printer.
+	 */
+	_punct(text) {
+		return this._emit(text, 'punctuation');
+	},
+
+
 	/**
 	 * Prints a string literal with syntax highlight.
+	 * If the `wrapStrings` option is set, multi-line strings and strings
+	 * that are wider than the line are printed as concatenated pieces.
 	 *
 	 * @param {string} str - A string.
 	 * @returns the printer.
 	 */
 	_string(str) {
-		// todo: escape sequences
-		this._emit('"' + str + '"', colors.yellow);
+		let omitted = 0;
+		if (str.length > this.options.maxStringLength) {
+			let end = this.options.maxStringLength;
+			let code = str.charCodeAt(end - 1);
+			if (code >= 0xD800 && code <= 0xDBFF) {
+				// don't split surrogate pairs
+				end--;
+			}
+			omitted = str.length - end;
+			str = str.substring(0, end);
+		}
+		this._quote(str);
+		if (omitted) {
+			this._emit(' ')._elision('… ' + omitted + ' more');
+		}
 		return this;
 	},
 
 
+	/**
+	 * Prints a quoted string literal. Wraps it if necessary.
+	 *
+	 * @param {string} str - A string.
+	 * @returns the printer.
+	 */
+	_quote(str) {
+		let pieces;
+		if (this.options.wrapStrings && !this.options.source) {
+			pieces = unicode.split(str, this._stringWidth());
+		}
+		if (!pieces || pieces.length < 2) {
+			this._emit(unicode.escape(str), 'string');
+			return this;
+		}
+		this._startBlock({
+			open: '',
+			close: '',
+			separator: { value: ' +' },
+			broken: str.indexOf('\n') >= 0
+		});
+		for (let piece of pieces) {
+			this._startItem()._emit(unicode.escape(piece), 'string')._endItem();
+		}
+		return this._endBlock();
+	},
+
+
+	/**
+	 * Returns the maximal width of a string piece printed at the current
+	 * block depth when strings are wrapped.
+	 */
+	_stringWidth() {
+		if (this.options.breakLimit <= 0) {
+			return Infinity;
+		}
+		let depth = this.depth + 1;
+		for (let group = this.group; group; group = group.parent) {
+			depth++;
+		}
+		// leave space for the quotes and the concatenation operator
+		let w = this.options.breakLimit - this.options.indentSize * depth - 4;
+		return Math.max(w, 16);
+	},
+
+
 	/* Layout */
 
 
 	/**
-	 * Starts a new indented block.
+	 * Starts a new block. Blocks are collected into groups and printed when
+	 * the outermost block ends: a block is printed in a single line if it
+	 * fits in the remaining width, otherwise each of its items is printed in
+	 * a separate, indented line. A broken block without an opening token
+	 * continues the current line, one without a closing token ends in the
+	 * line of its last item.
+	 *
+	 * Block tokens are strings or objects with the following properties:
+	 *
+	 * - {string} value - string to be printed
+	 * - {string} [breakValue] - string to be printed instead of `value` when
+	 *                           the block is broken into multiple lines
+	 *
 	 * @param {Object} block - Block descriptor
 	 * @param {(string|Object)} block.open - The block opening token
 	 * @param {(string|Object)} block.close - The block closing token
 	 * @param {(string|Object)} [block.afterLast]- Printed after the last item
 	 *                          but before `block.close`
-	 * @param {string} block.terminator - A token that is printed after items
-	 * @param {string} block.separator - A token that is printed between items
+	 * @param {(string|Object)} [block.terminator] - A token that is printed
+	 *                          after items
+	 * @param {(string|Object)} [block.separator] - A token that is printed
+	 *                          between items
+	 * @param {boolean} [block.broken] - Always print the block broken.
 	 * @returns the printer.
 	 */
 	_startBlock(block) {
-		block.parent = this.block;
-		block.depth = this.block.depth + 1;
-		block.empty = true;
-		this._emit(block.open);
-		this.block = block;
+		let parent = this.group;
+		let group = new layout.Group(block, parent);
+		// only blocks with an opening token count as nesting levels
+		group.level = (parent ? parent.level : 0) + (block.open ? 1 : 0);
+		if (parent && parent.skipping) {
+			// the whole block is elided
+			group.hidden = group.skipping = true;
+		} else {
+			if (block.open && group.level > this.options.maxDepth) {
+				group.elide({ text: '…', style: 'annotation' });
+				group.skipping = true;
+			}
+			if (parent) {
+				parent.append(group);
+			}
+		}
+		this.group = group;
 		return this;
 	},
 
@@ -399,12 +1151,17 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	_endBlock() {
-		let block = this.block;
-		this.block = block.parent;
-		if (block.afterLast != null) {
-			this._emit(block.afterLast);
+		let group = this.group;
+		this.group = group.parent;
+		if (group.hidden) {
+			return this;
+		}
+		if (group.omitted) {
+			group.more = { text: '… ' + group.omitted + ' more', style: 'annotation' };
+		}
+		if (!this.group) {
+			layout.print(group, this._sink(), this.depth);
 		}
-		this._emit(block.close);
 		return this;
 	},
 
@@ -412,16 +1169,19 @@ Printer.prototype = {
 	/**
 	 * Call this function before starting a new block item.
 	 * Required for proper handling of layout.
+	 * Items exceeding the `maxItems` option are elided.
 	 * @returns the printer.
 	 */
 	_startItem() {
-		if (this.block.empty) {
-			this.block.empty = false;
+		let group = this.group;
+		if (group.hidden || group.elided) {
+			return this;
+		}
+		if (group.open && group.items.length >= this.options.maxItems) {
+			group.omitted++;
+			group.skipping = true;
 		} else {
-			if (this.block.separator) {
-				this._emit(this.block.separator);
-			}
-			this._emit(' ');
+			group.startItem();
 		}
 		return this;
 	},
@@ -433,13 +1193,21 @@ Printer.prototype = {
 	 * @returns the printer.
 	 */
 	_endItem() {
-		if (this.block.terminator) {
-			this._emit(this.block.terminator);
-		}
 		return this;
 	},
 
 
+	/**
+	 * Prints an elision marker that indicates omitted parts of a model.
+	 *
+	 * @param {string} text - The marker text.
+	 * @returns the printer.
+	 */
+	_elision(text) {
+		return this._emit(text, 'annotation');
+	},
+
+
 	/**
 	 * Returns true if a string is a valid metamaya identifier.
 	 * It may produce false negatives but no false positives.
@@ -457,100 +1225,543 @@ Printer.prototype = {
 
 	/**
 	 * Prints a string or a formatter object to the output.
-	 * If `value` is a string it is printed directly to the output.
-	 * If `value` is an object, it must have the following properties:
+	 * If `value` is an object, its `value` property is printed. Spaces at
+	 * the beginning of a line are not printed unless its `keepSpaces`
+	 * property is set.
+	 * Inside a block the text is buffered until the outermost block ends,
+	 * otherwise it is printed directly to the output.
 	 *
-	 * - {string} value - string to be printed
-	 * - {string} [breakValue] - string to be printed when the token is at the
-	 *                         end of a line
+	 * @param {(string|Object)} value - A string or a formatter object.
+	 * @param {(string|function)} [style] - Token category, see
+	 *                        `Printer.themes`, or a styling function that
+	 *                        accepts a string and emits another string
+	 * @returns the printer.
+	 */
+	_emit(value, style) {
+		let keepSpaces = false;
+		if (value !== null && typeof value === "object") {
+			keepSpaces = value.keepSpaces === true;
+			value = value.value;
+		}
+		value = String(value);
+		if (this.group) {
+			if (!this.group.skipping) {
+				this.group.append(keepSpaces ?
+					{ text: value, style: style, keepSpaces: true } : { text: value, style: style });
+			}
+		} else {
+			this._write(value, style, this.depth, keepSpaces);
+		}
+		return this;
+	},
+
+
+	/**
+	 * Starts a new line unconditionally. Inside a block it forces the
+	 * enclosing blocks to be broken.
 	 *
-	 * The fundamental difference is that the line may be broken after printing
-	 * an object token while it will never be broken after a string token.
+	 * @returns the printer.
+	 */
+	_newline() {
+		if (this.group) {
+			if (!this.group.skipping) {
+				this.group.append(layout.hardline);
+			}
+		} else {
+			this._lineBreak();
+		}
+		return this;
+	},
+
+
+	/**
+	 * Writes a line break directly to the output.
+	 */
+	_lineBreak() {
+		this.out.write(this.options.lineBreak);
+		this.lineLength = 0;
+		this.line++;
+		this.column = 0;
+	},
+
+
+	/**
+	 * Marks the start or the end of the output of a node in the source map.
+	 * Marks are buffered in the current group like tokens, so they are
+	 * resolved to positions when the group is laid out.
 	 *
-	 * @param {(string|Object)} value - A string or a formatter object.
-	 * @param {function} [stylefn] - Styling function that accepts a string and
-	 *                               emits another string
+	 * @param {Object} mark - `{ map, entry, start }`.
 	 * @returns the printer.
 	 */
-	_emit(value, stylefn) {
-		var toBreak = false;
-		if (typeof value === "object") {
-			let o = value;
-			value = String(o.value);
-			toBreak = this.lineLength + value.length >= this.options.breakLimit;
-			if (toBreak && o.breakValue != null) {
-				value = String(o.breakValue);
+	_mark(mark) {
+		if (this.group) {
+			if (!this.group.skipping) {
+				this.group.append({ text: '', mark: mark });
 			}
 		} else {
-			value = String(value);
+			this._resolveMark(mark);
 		}
-		if (toBreak) {
-			value = trimRight(value);
+		return this;
+	},
+
+
+	/**
+	 * Sets the current output position in a source map entry. Entries
+	 * start at the next printed token, after the indentation.
+	 *
+	 * @param {Object} mark - `{ map, entry, start }`.
+	 */
+	_resolveMark(mark) {
+		let entry = mark.entry;
+		if (mark.start) {
+			mark.map.add(entry);
+			this.pendingEntries.push(entry);
+			return;
 		}
-		if (value.length > 0) {
-			// indent on demand
-			if (this.lineLength === 0) {
-				value = trimLeft(value);
-				this.lineLength = this.options.indentSize * this.block.depth;
+		let pos = { line: this.line, column: this.column };
+		if (entry.start === undefined) {
+			// nothing was printed
+			entry.start = pos;
+			this.pendingEntries.splice(this.pendingEntries.indexOf(entry), 1);
+		}
+		entry.end = pos;
+	},
+
+
+	/**
+	 * Writes a string directly to the output. Indents the line on demand.
+	 *
+	 * @param {string} value - The string to write.
+	 * @param {(string|function)} [style] - Token category or styling
+	 *                                      function.
+	 * @param {number} depth - Indentation level used if `value` starts a
+	 *                         new line.
+	 * @param {boolean} [keepSpaces] - Print the spaces at the beginning of
+	 *                         `value` if it starts a new line.
+	 */
+	_write(value, style, depth, keepSpaces) {
+		if (this.lineLength === 0) {
+			if (!keepSpaces) {
+				value = layout.trimLeft(value);
+			}
+			if (value.length > 0) {
+				this._startLine();
+				this.lineLength = this.options.indentSize * depth;
 				this.out.write(' '.repeat(this.lineLength));
+				this.column += this.lineLength;
+			}
+		}
+		if (value.length > 0) {
+			for (let entry of this.pendingEntries) {
+				entry.start = { line: this.line, column: this.column };
 			}
-			this.lineLength += value.length;
-			if (this.options.colors && typeof stylefn === "function") {
-				value = stylefn(value);
+			this.pendingEntries.length = 0;
+			let nl = value.lastIndexOf('\n');
+			if (nl < 0) {
+				this.lineLength += layout.width(value);
+			} else {
+				this.lineLength = layout.width(value.substring(nl + 1));
 			}
-			this.out.write(value);
+			this._output(value, style);
 		}
-		if (toBreak) {
-			this.br();
+	},
+
+
+	/**
+	 * Writes a styled string to the output stream. Doesn't track the line
+	 * length, but tracks the position used by source maps.
+	 *
+	 * @param {string} value - The string to write.
+	 * @param {(string|function)} [style] - Token category or styling
+	 *                                      function.
+	 */
+	_output(value, style) {
+		if (typeof this.out.writeToken === 'function') {
+			this.out.writeToken(value, style, this);
+		} else {
+			this.out.write(this._styled(value, style));
 		}
-		return this;
+		let nl = value.lastIndexOf('\n');
+		if (nl < 0) {
+			this.column += value.length;
+		} else {
+			this.line += value.split('\n').length - 1;
+			this.column = value.length - nl - 1;
+		}
+	},
+
+
+	/**
+	 * Called before the indentation of a new line is printed.
+	 */
+	_startLine() {
+		if (this.margin) {
+			for (let token of this.margin) {
+				this._output(token[0], token[1]);
+			}
+		}
+	},
+
+
+	/**
+	 * Returns a string with styling applied, e.g. wrapped in ANSI escape
+	 * sequences.
+	 *
+	 * @param {string} value - The string to style.
+	 * @param {(string|function)} [style] - Token category or styling
+	 *                                      function.
+	 * @param {Stream} [out] - The stream the string is written to.
+	 * @param {Object} [options] - Styling options.
+	 */
+	_styled(value, style, out, options) {
+		let stylefn = this._styleFn(style, out, options);
+		return stylefn ? stylefn(value) : value;
 	},
+
+
+	/**
+	 * Called by the layout engine before printing the opening token of a
+	 * block.
+	 *
+	 * @param {Group} group - The block.
+	 */
+	_startGroup(group) {
+	},
+
+
+	/**
+	 * Called by the layout engine after printing the opening token of a
+	 * block.
+	 *
+	 * @param {Group} group - The block.
+	 */
+	_startContent(group) {
+	},
+
+
+	/**
+	 * Called by the layout engine before printing the closing token of a
+	 * block.
+	 *
+	 * @param {Group} group - The block.
+	 */
+	_endContent(group) {
+	},
+
+
+	/**
+	 * Returns the styling function of a token category according to the
+	 * current options. Returns undefined if colors are turned off.
+	 *
+	 * @param {(string|function)} [style] - Token category or styling
+	 *                                      function.
+	 * @param {Stream} [out=this.out] - The stream the token is written to.
+	 * @param {Object} [options=this.options] - Styling options.
+	 */
+	_styleFn(style, out = this.out, options = this.options) {
+		if (!style) {
+			return undefined;
+		}
+		if (this.styles === undefined) {
+			// compiled themes per output stream, streams are not kept alive
+			this.styles = new WeakMap();
+		}
+		let styles = this.styles.get(out);
+		if (styles === undefined || styles.options !== options) {
+			// compile the theme when options change
+			let depth = 1;
+			if (options.colors) {
+				depth = theme.colorDepth(out, options.colors === 'auto');
+				if (depth > 1 && options.colorDepth) {
+					depth = options.colorDepth;
+				}
+			}
+			styles = {
+				options: options,
+				fns: depth > 1 ? theme.compile(options.theme, depth) : null
+			};
+			this.styles.set(out, styles);
+		}
+		let fns = styles.fns;
+		if (!fns) {
+			return undefined;
+		}
+		return typeof style === 'function' ? style : fns[style];
+	},
+
+
+	/**
+	 * Returns the sink used by the layout engine to print groups.
+	 */
+	_sink() {
+		let printer = this;
+		// the margin is not included in the line length
+		let margin = 0;
+		for (let token of this.margin || []) {
+			margin += layout.width(token[0]);
+		}
+		return {
+			get column() { return printer.lineLength; },
+			limit: this.options.breakLimit - margin,
+			indentSize: this.options.indentSize,
+			write(value, style, depth, keepSpaces) {
+				printer._write(value, style, depth, keepSpaces);
+			},
+			newline() {
+				printer._lineBreak();
+			},
+			mark(mark) {
+				printer._resolveMark(mark);
+			},
+			startGroup(group) {
+				printer._startGroup(group);
+			},
+			startContent(group) {
+				printer._startContent(group);
+			},
+			endContent(group) {
+				printer._endContent(group);
+			}
+		};
+	},
+};
+
+
+/**
+ * Returns a formatted string, see {@link Printer#print}.
+ *
+ * @param {any} [fmt] - Format string or any other value.
+ * @returns {string} the formatted string.
+ */
+Printer.format = function(fmt) {
+	return new Printer().print(...arguments).out.text;
 };
 
 
 /**
  * Maps program model classes to printing functions.
  */
-Printer.modelMap = modelMap;
+Printer.modelMap = modelMap.modelMap;
 
 
 /**
- * Trims spaces from the left end a string.
- * @param {string} str - String to trim.
+ * Maps printing functions to functions that visit the nodes they print.
+ * Used to find the nodes that are printed more than once.
  */
-function trimLeft(str) {
-	let i = 0;
-	for (; i < str.length; ++i) {
-		if (str[i] !== ' ') {
-			break;
+Printer.childMap = childMap;
+
+
+/**
+ * Built-in color themes.
+ */
+Printer.themes = theme.themes;
+
+
+/**
+ * Maps the characters of format string placeholders to formatting
+ * functions, see {@link Printer#print}. A formatting function is called
+ * with the printer as `this`, the argument and the placeholder spec:
+ * `{ flags, width, precision, options }`. It returns the text to print
+ * that is padded to `width` or prints the argument itself and returns
+ * undefined.
+ */
+Printer.placeholders = new Map([
+	['s', function(arg, spec) {
+		let str = String(arg);
+		return spec.precision === undefined ? str :
+			Array.from(str).slice(0, spec.precision).join('');
+	}],
+	['d', function(arg, spec) {
+		return formatNumber(arg, spec, (n) => String(n));
+	}],
+	['i', function(arg, spec) {
+		return formatNumber(arg, spec, (n) => String(Math.trunc(n)));
+	}],
+	['f', function(arg, spec) {
+		return formatNumber(arg, spec,
+			(n) => spec.precision === undefined ? String(n) : n.toFixed(spec.precision));
+	}],
+	['x', function(arg, spec) {
+		return formatNumber(arg, spec, (n) => Math.trunc(n).toString(16), '0x');
+	}],
+	['X', function(arg, spec) {
+		return formatNumber(arg, spec, (n) => Math.trunc(n).toString(16).toUpperCase(), '0X');
+	}],
+	['j', function(arg) {
+		try {
+			return String(JSON.stringify(arg));
+		} catch (e) {
+			if (/circular/i.test(e.message)) {
+				return '[Circular]';
+			}
+			throw e;
 		}
+	}],
+	['m', function(arg, spec) {
+		this.model(arg, spec.options);
+	}],
+	['o', function(arg, spec) {
+		this.model(arg, Object.assign({ raw: true }, spec.options));
+	}],
+]);
+
+
+/**
+ * Resolves dependencies between printer options.
+ * @param {Object} options - Printer options.
+ * @returns the options.
+ */
+function normalizeOptions(options) {
+	if (options.source) {
+		options.raw = false;
+		options.annotate = false;
+		options.closureEnv = false;
+		options.outline = false;
+		options.locations = false;
+		options.maxDepth = options.maxItems = options.maxStringLength = undefined;
 	}
-	return str.substring(i);
+	return options;
 }
 
 
 /**
- * Trims spaces from the right end a string.
- * @param {string} str - String to trim.
+ * Parses the options of a placeholder, e.g. `maxDepth=2,raw=true`.
+ * Values are converted to numbers and booleans if possible.
+ * @param {string} str - Comma separated list of `name=value` pairs.
+ * @returns the options object.
  */
-function trimRight(str) {
-	let i = str.length;
-	while (i-- >= 0) {
-		if (str[i] !== ' ') {
-			break;
+function parseOptions(str) {
+	let options = {};
+	for (let pair of str.split(',')) {
+		let eq = pair.indexOf('=');
+		let name = (eq < 0 ? pair : pair.substring(0, eq)).trim();
+		if (!name) {
+			continue;
 		}
+		let value = eq < 0 ? 'true' : pair.substring(eq + 1).trim();
+		if (value === 'true' || value === 'false') {
+			options[name] = value === 'true';
+		} else if (value !== '' && !isNaN(value)) {
+			options[name] = Number(value);
+		} else {
+			options[name] = value;
+		}
+	}
+	return options;
+}
+
+
+/**
+ * Pads the text of a placeholder with spaces to its width.
+ * @param {string} str - The text.
+ * @param {Object} spec - The placeholder spec.
+ */
+function pad(str, spec) {
+	let fill = (spec.width || 0) - layout.width(str);
+	if (fill <= 0) {
+		return str;
 	}
-	return str.substring(0, i + 1);
+	return spec.flags.includes('-') ? str + ' '.repeat(fill) : ' '.repeat(fill) + str;
+}
+
+
+/**
+ * Formats a number according to the flags of a placeholder. The precision
+ * of integers is their minimal number of digits.
+ * @param {any} arg - The argument of the placeholder.
+ * @param {Object} spec - The placeholder spec.
+ * @param {function} digits - Converts a non-negative number to digits.
+ * @param {string} [alternate] - Prefix printed if the `#` flag is set.
+ */
+function formatNumber(arg, spec, digits, alternate = '') {
+	let n = Number(arg);
+	if (!isFinite(n)) {
+		return String(n);
+	}
+	let str = digits(Math.abs(n));
+	if (spec.precision !== undefined && /^[0-9a-f]+$/i.test(str)) {
+		str = str.padStart(spec.precision, '0');
+	}
+	let prefix = n < 0 ? '-' : spec.flags.includes('+') ? '+' : spec.flags.includes(' ') ? ' ' : '';
+	if (spec.flags.includes('#')) {
+		prefix += alternate;
+	}
+	if (spec.flags.includes('0') && !spec.flags.includes('-') && spec.width) {
+		str = str.padStart(spec.width - prefix.length, '0');
+	}
+	return prefix + str;
+}
+
+
+/**
+ * Returns true if an object was created by an object literal or
+ * `Object.create(null)`.
+ * @param {object} obj - An object.
+ */
+function isPlainObject(obj) {
+	let proto = Object.getPrototypeOf(obj);
+	return proto === null || proto === Object.prototype;
+}
+
+
+/**
+ * Returns the source location of a node. It is the own `location`
+ * property of the node in PEG.js format: `{ source, start, end }` where
+ * `start` and `end` are `{ offset, line, column }` objects with 1-based
+ * lines and columns and `end` is exclusive. metamaya's parser doesn't
+ * record locations, they must be attached by the caller, e.g. by a parser
+ * whose grammar actions store the result of PEG.js's `location()`.
+ * @param {object} node - A program model node.
+ * @returns {Object} the location or undefined.
+ */
+function sourceLocation(node) {
+	if (!Object.prototype.hasOwnProperty.call(node, 'location')) {
+		return undefined;
+	}
+	let loc = node.location;
+	if (loc && loc.start && typeof loc.start.line === 'number' && typeof loc.start.column === 'number') {
+		return loc;
+	}
+	return undefined;
+}
+
+
+/**
+ * Formats a source location as `source:line:column` or `line:column` if
+ * the source is unknown.
+ * @param {Object} loc - A location returned by `sourceLocation()`.
+ */
+function formatLocation(loc) {
+	let source = typeof loc.source === 'string' && loc.source ? loc.source + ':' : '';
+	return source + loc.start.line + ':' + loc.start.column;
+}
+
+
+/**
+ * Creates the error thrown when a value can't be printed in source mode.
+ * @param {string} what - Description of the value.
+ */
+function sourceError(what) {
+	return new Error("Can't print " + what + " as metamaya source code");
 }
 
 
 /* Predefined printer objects that print to `stdout`. */
 let printer = new Printer(process.stdout, { breakLimit: 0 });
-let logger = new Printer(process.stdout);
 
 
 module.exports = {
 	printer: printer,
-	logger: logger,
-	Printer: Printer
+	Printer: Printer,
+	MemoryTarget: targets.MemoryTarget,
+	TeeTarget: targets.TeeTarget,
+	SourceMap: sourcemap.SourceMap
 };
+
+// loaded after the exports are set, because they extend `Printer`
+module.exports.HtmlPrinter = require("./html").HtmlPrinter;
+module.exports.JsonExporter = require("./json").JsonExporter;
+module.exports.DotExporter = require("./dot").DotExporter;
+module.exports.Logger = require("./logger").Logger;
+module.exports.logger = new module.exports.Logger(process.stdout);
+module.exports.Tracer = require("./tracer").Tracer;
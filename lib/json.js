@@ -0,0 +1,223 @@
+﻿"use strict";
+
+
+const Printer = require("./index").Printer;
+
+
+/**
+ * Constructs a JSON exporter.
+ *
+ * @class
+ * @classdesc Exports program models as JSON trees. Models are traversed
+ * with the printing functions of `Printer.modelMap`, so the tree follows
+ * the structure of the printed text. Each object is exported as
+ *
+ * - `{ type, id, children }` where `type` is the name of its class (e.g.
+ *   `Definition`, `Invocation`, `Array`, `Object`), `id` is a sequential
+ *   number given to nodes that are referenced more than once and
+ *   `children` lists the nodes and property keys (`{ type: 'Key', value }`)
+ *   printed by its printing function,
+ * - `{ type: 'Reference', ref, circular }` if it has already been exported.
+ *
+ * Primitive values are exported as `{ type, value }` where `type` is the
+ * result of `typeof`.
+ *
+ * Formatting options of the printer don't apply except `raw`, `unreduce`
+ * and `expandShared`. `indentSize` is used to indent the JSON text.
+ * @extends Printer
+ * @param {Stream} [out] - The output stream used by `print()` and
+ *                 `model()`.
+ * @param {string} [options] - Options, see {@link Printer}.
+ */
+function JsonExporter(out, options = {}, depth = 0) {
+	Printer.call(this, out, Object.assign({ colors: false }, options), depth);
+}
+JsonExporter.prototype = Object.assign(Object.create(Printer.prototype), {
+	constructor: JsonExporter,
+
+
+	/**
+	 * Prints a program model as JSON text.
+	 *
+	 * @param {any} node - A program model node.
+	 * @param {Object} [options] - Overrides exporter options.
+	 * @returns the exporter.
+	 */
+	model(node, options) {
+		return this._emit(this.stringify(node, options));
+	},
+
+
+	/**
+	 * Returns a program model as JSON text.
+	 *
+	 * @param {any} node - A program model node.
+	 * @param {Object} [options] - Overrides exporter options.
+	 * @returns {string} the JSON text.
+	 */
+	stringify(node, options) {
+		let opts = Object.assign({}, this.options, options);
+		return JSON.stringify(this.export(node, options), null, opts.indentSize);
+	},
+
+
+	/**
+	 * Returns a program model as a JSON tree.
+	 *
+	 * @param {any} node - A program model node.
+	 * @param {Object} [options] - Overrides exporter options.
+	 * @returns {Object} the root of the JSON tree.
+	 */
+	export(node, options) {
+		let w = Object.assign(Object.create(this), walker);
+		// the tree follows the printing functions, not the outline
+		w.options = Object.assign({}, this.options, options, { outline: false });
+		w.group = null;
+		w.path = new Set();
+		w.exported = new Map();
+		w.order = [];
+		w.refs = [];
+		w.current = { children: [] };
+		w._model(node);
+		// number referenced nodes in document order
+		let id = 0;
+		for (let json of w.order) {
+			if (json.referenced) {
+				json.id = ++id;
+				delete json.referenced;
+			}
+		}
+		for (let ref of w.refs) {
+			ref[0].ref = ref[1].id;
+		}
+		return w.current.children[0];
+	},
+});
+
+
+/**
+ * Overrides the extension API of the printer to build a JSON tree instead
+ * of printing text. The printing functions of the models call these
+ * methods with the walker as `this`.
+ */
+const walker = {
+	_model(node) {
+		this.current.children.push(this._json(node));
+		return this;
+	},
+
+
+	_key(key) {
+		let json = { type: 'Key' };
+		if (typeof key === 'symbol') {
+			json.symbol = key.toString();
+		} else {
+			json.value = key;
+		}
+		this.current.children.push(json);
+		return this;
+	},
+
+
+	/**
+	 * Returns the JSON representation of a node.
+	 */
+	_json(node) {
+		if (node === null) {
+			return { type: 'null' };
+		}
+		if (typeof node === 'function') {
+			return { type: 'function', name: node.name };
+		}
+		if (typeof node !== 'object') {
+			return primitive(node);
+		}
+		let first = this.exported.get(node);
+		let circular = this.path.has(node);
+		if (first && (circular || !this.options.expandShared)) {
+			let ref = { type: 'Reference', ref: undefined, circular: circular };
+			first.referenced = true;
+			this.refs.push([ref, first]);
+			return ref;
+		}
+		let json = { type: typeName(node), id: undefined, children: [] };
+		this.exported.set(node, json);
+		this.order.push(json);
+		let parent = this.current;
+		this.current = json;
+		this.path.add(node);
+		this._dispatch(node);
+		this.path.delete(node);
+		this.current = parent;
+		return json;
+	},
+
+
+	_emit() {
+		return this;
+	},
+
+
+	_newline() {
+		return this;
+	},
+
+
+	_startBlock() {
+		return this;
+	},
+
+
+	_endBlock() {
+		return this;
+	},
+
+
+	_startItem() {
+		return this;
+	},
+
+
+	_endItem() {
+		return this;
+	},
+};
+
+
+/**
+ * Returns the JSON representation of a primitive value. Values that have
+ * no JSON representation (e.g. `NaN`, symbols) are converted to strings.
+ * @param {any} value - A primitive value.
+ */
+function primitive(value) {
+	let type = typeof value;
+	if (type === 'undefined') {
+		return { type: type };
+	}
+	if (type === 'string' || type === 'boolean' ||
+		type === 'number' && isFinite(value) && !Object.is(value, -0)) {
+		return { type: type, value: value };
+	}
+	return { type: type, value: Object.is(value, -0) ? '-0' : String(value) };
+}
+
+
+/**
+ * Returns the name of the class of an object.
+ * @param {object} obj - An object.
+ */
+function typeName(obj) {
+	if (Array.isArray(obj)) {
+		return 'Array';
+	}
+	let ctor = obj.constructor;
+	if (typeof ctor === 'function' && typeof ctor.name === 'string' && ctor.name) {
+		return ctor.name;
+	}
+	return 'Object';
+}
+
+
+module.exports = {
+	JsonExporter: JsonExporter
+};
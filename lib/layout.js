@@ -0,0 +1,409 @@
+﻿"use strict";
+
+
+const unicode = require("./unicode");
+
+/**
+ * A hard line break inside a group. Groups containing hard line breaks
+ * never fit in a single line.
+ */
+const hardline = { hardline: true };
+
+
+/**
+ * Constructs a layout group from a block descriptor.
+ *
+ * @class
+ * @classdesc A block of items collected by the printer's layout protocol.
+ * A group is printed either flat, i.e. in the remaining space of the
+ * current line, or broken, i.e. with each of its items in a separate,
+ * indented line. As with `Printer#_emit`, lines are only broken after
+ * formatter object tokens: groups whose opening, separator and terminator
+ * tokens are all strings, e.g. parameter lists, are never broken, only the
+ * groups nested in them.
+ * @param {Object} block - Block descriptor, see `Printer#_startBlock`.
+ * @param {Group} [parent] - The enclosing group.
+ */
+function Group(block, parent) {
+	this.open = block.open;
+	this.close = block.close;
+	this.separator = block.separator;
+	this.terminator = block.terminator;
+	this.afterLast = block.afterLast;
+	this.broken = !!block.broken;
+	this.breakable = this.broken ||
+		[block.open, block.separator, block.terminator, block.afterLast].some(isFormatter);
+	this.parent = parent || null;
+	// parts printed right after the opening token
+	this.lead = [];
+	// array of part lists, one per item
+	this.items = [];
+	// elision marker printed after the last item
+	this.more = null;
+	this.elided = false;
+	this.width = undefined;
+	// bookkeeping of the printer: nesting level, number of omitted items and
+	// whether the parts currently appended are dropped
+	this.level = 0;
+	this.omitted = 0;
+	this.skipping = false;
+	this.hidden = false;
+}
+Group.prototype = {
+
+
+	/**
+	 * Starts a new item.
+	 */
+	startItem() {
+		this.items.push([]);
+	},
+
+
+	/**
+	 * Replaces the contents of the group with an elision marker, e.g.
+	 * `{ … }`. Elided groups are always printed in a single line.
+	 *
+	 * @param {Object} marker - Text token of the marker.
+	 */
+	elide(marker) {
+		this.elided = true;
+		this.open = trimRight(flat(this.open)) + ' ';
+		this.close = ' ' + trimLeft(flat(this.close));
+		this.separator = this.terminator = this.afterLast = undefined;
+		this.broken = false;
+		this.lead = [marker];
+		this.items = [];
+	},
+
+
+	/**
+	 * Appends a part to the current item. Parts can be text tokens,
+	 * nested groups or `hardline`.
+	 *
+	 * @param {(Object|Group)} part - The part to append.
+	 */
+	append(part) {
+		let parts = this.items.length ? this.items[this.items.length - 1] : this.lead;
+		parts.push(part);
+	},
+
+
+	/**
+	 * Returns the width of the group when it is printed in a single line.
+	 * Returns `Infinity` if the group contains a hard line break.
+	 */
+	flatWidth() {
+		if (this.width === undefined) {
+			if (this.broken) {
+				this.width = Infinity;
+				return this.width;
+			}
+			let w = width(flat(this.open)) + partsWidth(this.lead);
+			let n = this.items.length;
+			for (let i = 0; i < n; ++i) {
+				if (i > 0) {
+					w += width(flat(this.separator)) + 1;
+				}
+				w += partsWidth(this.items[i]) + width(flat(this.terminator));
+			}
+			if (this.more) {
+				w += (n > 0 ? width(flat(this.separator)) + 1 : 0) + width(this.more.text);
+			}
+			this.width = w + width(flat(this.afterLast)) + width(flat(this.close));
+		}
+		return this.width;
+	},
+};
+
+
+/**
+ * Lays out a group to a sink.
+ * The sink must implement the following interface:
+ *
+ * - {number} column - current column of the output
+ * - {number} limit - maximal line width
+ * - {number} indentSize - number of columns per indentation level
+ * - write(text, style, depth) - writes a text token; `depth` is the
+ *   indentation level used when the token starts a new line
+ * - newline() - starts a new line
+ * - mark(mark) - called for the source map marks appended to the group
+ * - startGroup(group) - called before the opening token of a group
+ * - startContent(group) - called after the opening token of a group
+ * - endContent(group) - called before the closing token of a group
+ *
+ * The group hooks are not called for elided groups.
+ *
+ * @param {Group} group - The group to print.
+ * @param {Object} sink - The output sink.
+ * @param {number} depth - The indentation level of the line containing
+ *                         the group.
+ * @param {number} [rest=0] - Width of the text that must follow the group
+ *                            in the same line.
+ */
+function print(group, sink, depth, rest = 0) {
+	// lines are indented on demand, so account for the pending indentation
+	let column = sink.column || sink.indentSize * depth;
+	if (column + group.flatWidth() + rest <= sink.limit) {
+		printFlat(group, sink, depth);
+	} else if (group.breakable) {
+		printBroken(group, sink, depth);
+	} else {
+		printInline(group, sink, depth, rest);
+	}
+}
+
+
+/**
+ * Prints a group in a single line.
+ */
+function printFlat(group, sink, depth) {
+	let hooks = !group.elided;
+	if (hooks) {
+		sink.startGroup(group);
+	}
+	sink.write(flat(group.open), 'punctuation', depth);
+	if (hooks) {
+		sink.startContent(group);
+	}
+	printParts(group.lead, sink, depth, true, 0);
+	let n = group.items.length;
+	for (let i = 0; i < n; ++i) {
+		if (i > 0) {
+			sink.write(flat(group.separator) + ' ', 'punctuation', depth);
+		}
+		printParts(group.items[i], sink, depth, true, 0);
+		sink.write(flat(group.terminator), 'punctuation', depth);
+	}
+	if (group.more) {
+		if (n > 0) {
+			sink.write(flat(group.separator) + ' ', 'punctuation', depth);
+		}
+		sink.write(group.more.text, group.more.style, depth);
+	}
+	sink.write(flat(group.afterLast), 'punctuation', depth);
+	if (hooks) {
+		sink.endContent(group);
+	}
+	sink.write(flat(group.close), 'punctuation', depth);
+}
+
+
+/**
+ * Prints a group that can't be broken in the current line. Its nested
+ * groups decide on their own layout.
+ */
+function printInline(group, sink, depth, rest) {
+	let closeWidth = width(flat(group.afterLast)) + width(flat(group.close)) + rest;
+	sink.startGroup(group);
+	sink.write(flat(group.open), 'punctuation', depth);
+	sink.startContent(group);
+	printParts(group.lead, sink, depth, false, group.items.length ? 0 : closeWidth);
+	let n = group.items.length;
+	for (let i = 0; i < n; ++i) {
+		if (i > 0) {
+			sink.write(flat(group.separator) + ' ', 'punctuation', depth);
+		}
+		let tail = width(flat(group.terminator)) +
+			(i + 1 < n || group.more ? width(flat(group.separator)) : closeWidth);
+		printParts(group.items[i], sink, depth, false, tail);
+		sink.write(flat(group.terminator), 'punctuation', depth);
+	}
+	if (group.more) {
+		if (n > 0) {
+			sink.write(flat(group.separator) + ' ', 'punctuation', depth);
+		}
+		sink.write(group.more.text, group.more.style, depth);
+	}
+	sink.write(flat(group.afterLast), 'punctuation', depth);
+	sink.endContent(group);
+	sink.write(flat(group.close), 'punctuation', depth);
+}
+
+
+/**
+ * Prints a group with each of its items in a separate line.
+ * If the group has no opening token, its first item continues the current
+ * line. If the group has no closing token, it ends in the line of its last
+ * item.
+ */
+function printBroken(group, sink, depth) {
+	let inner = depth + 1;
+	let open = trimRight(broken(group.open));
+	let close = trimLeft(broken(group.close));
+	sink.startGroup(group);
+	sink.write(open, 'punctuation', depth);
+	sink.startContent(group);
+	printParts(group.lead, sink, inner, false, 0);
+	let n = group.items.length;
+	for (let i = 0; i < n; ++i) {
+		let tail = broken(group.terminator) +
+			(i + 1 < n || group.more ? trimRight(broken(group.separator)) : broken(group.afterLast));
+		let itemDepth = inner;
+		if (i > 0 || open) {
+			sink.newline();
+		} else {
+			// the first item continues the current line
+			itemDepth = depth;
+		}
+		printParts(group.items[i], sink, itemDepth, false, width(tail));
+		sink.write(tail, 'punctuation', itemDepth);
+	}
+	if (group.more) {
+		if (n > 0 || open) {
+			sink.newline();
+		}
+		sink.write(group.more.text, group.more.style, n > 0 || open ? inner : depth);
+		sink.write(broken(group.afterLast), 'punctuation', inner);
+	}
+	if (close) {
+		sink.newline();
+	}
+	sink.endContent(group);
+	sink.write(close, 'punctuation', depth);
+}
+
+
+/**
+ * Prints a list of parts. In broken mode nested groups decide on their
+ * own layout.
+ *
+ * @param {array} parts - Text tokens, groups and hard line breaks.
+ * @param {Object} sink - The output sink.
+ * @param {number} depth - Current indentation level.
+ * @param {boolean} isFlat - Print nested groups flat.
+ * @param {number} tail - Width of the text that follows the parts.
+ */
+function printParts(parts, sink, depth, isFlat, tail) {
+	for (let i = 0; i < parts.length; ++i) {
+		let part = parts[i];
+		if (part === hardline) {
+			sink.newline();
+		} else if (part instanceof Group) {
+			if (isFlat) {
+				printFlat(part, sink, depth);
+			} else {
+				print(part, sink, depth, restWidth(parts, i + 1, tail));
+			}
+		} else if (part.mark) {
+			sink.mark(part.mark);
+		} else {
+			sink.write(part.text, part.style, depth, part.keepSpaces);
+		}
+	}
+}
+
+
+/**
+ * Returns the width of the text that follows a nested group up to the
+ * next point where the line may be broken.
+ */
+function restWidth(parts, start, tail) {
+	let w = 0;
+	for (let i = start; i < parts.length; ++i) {
+		let part = parts[i];
+		if (part === hardline || part instanceof Group) {
+			return w;
+		}
+		w += width(part.text);
+	}
+	return w + tail;
+}
+
+
+/**
+ * Returns the total width of a list of parts printed in a single line.
+ */
+function partsWidth(parts) {
+	let w = 0;
+	for (let part of parts) {
+		if (part === hardline) {
+			return Infinity;
+		}
+		w += part instanceof Group ? part.flatWidth() : width(part.text);
+	}
+	return w;
+}
+
+
+/**
+ * Returns true if a block token is a formatter object, i.e. the line may be
+ * broken after it.
+ * @param {(string|Object)} [token] - A string or a formatter object.
+ */
+function isFormatter(token) {
+	return token != null && typeof token === 'object';
+}
+
+
+/**
+ * Returns the value of a block token in flat mode.
+ * @param {(string|Object)} [token] - A string or a formatter object.
+ */
+function flat(token) {
+	if (token == null) {
+		return '';
+	}
+	return typeof token === 'object' ? String(token.value) : String(token);
+}
+
+
+/**
+ * Returns the value of a block token when the line is broken after it.
+ * @param {(string|Object)} [token] - A string or a formatter object.
+ */
+function broken(token) {
+	if (token != null && typeof token === 'object' && token.breakValue != null) {
+		return String(token.breakValue);
+	}
+	return flat(token);
+}
+
+
+/**
+ * Returns the number of columns occupied by a string.
+ * @param {string} str - A string without line breaks.
+ */
+function width(str) {
+	return unicode.width(str);
+}
+
+
+/**
+ * Trims spaces from the left end a string.
+ * @param {string} str - String to trim.
+ */
+function trimLeft(str) {
+	let i = 0;
+	for (; i < str.length; ++i) {
+		if (str[i] !== ' ') {
+			break;
+		}
+	}
+	return str.substring(i);
+}
+
+
+/**
+ * Trims spaces from the right end a string.
+ * @param {string} str - String to trim.
+ */
+function trimRight(str) {
+	let i = str.length;
+	while (i-- >= 0) {
+		if (str[i] !== ' ') {
+			break;
+		}
+	}
+	return str.substring(0, i + 1);
+}
+
+
+module.exports = {
+	Group: Group,
+	hardline: hardline,
+	print: print,
+	width: width,
+	trimLeft: trimLeft,
+	trimRight: trimRight
+};
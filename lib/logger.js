@@ -0,0 +1,272 @@
+﻿"use strict";
+
+
+const Printer = require("./index").Printer;
+const layout = require("./layout");
+
+
+// Severity of the log levels.
+const levels = {
+	trace: 10,
+	debug: 20,
+	info: 30,
+	warn: 40,
+	error: 50
+};
+
+// Token categories of the level labels.
+const levelStyles = {
+	trace: 'annotation',
+	debug: 'annotation',
+	info: 'keyword',
+	warn: 'string',
+	error: 'error'
+};
+
+
+/**
+ * Constructs a logger.
+ *
+ * @class
+ * @classdesc Prints log messages with levels and namespaces. Every line of
+ * a message, including the lines broken by the layout engine, starts with
+ * a prefix: an optional timestamp, the level and the namespace, e.g.
+ * `WARN  compiler:parser: unexpected token`.
+ *
+ * Messages below the `level` option are dropped unless the namespace of
+ * the logger matches the `debug` option, which defaults to the `MM_DEBUG`
+ * environment variable. It is a comma or space separated list of
+ * namespaces, where `*` matches any characters and a leading `-` excludes
+ * namespaces, e.g. `compiler:*,-compiler:lexer`.
+ * @extends Printer
+ * @param {Stream} [out] - The output stream.
+ * @param {Object} [options] - Options of {@link Printer} and the following.
+ * @param {string} [options.level='info'] - Minimal level of the printed
+ *                 messages: `trace`, `debug`, `info`, `warn` or `error`.
+ * @param {string} [options.namespace] - Namespace of the logger.
+ * @param {string} [options.debug=process.env.MM_DEBUG] - Namespaces whose
+ *                 messages are printed at every level.
+ * @param {(boolean|function)} [options.timestamps] - Print timestamps in
+ *                 ISO format or formatted by a function that accepts a
+ *                 `Date`.
+ * @param {string} [options.prefix] - Printed at the beginning of each line.
+ */
+function Logger(out, options = {}, depth = 0) {
+	Printer.call(this, out, Object.assign({}, Logger.defaultOptions, options), depth);
+	// the prefix of the lines of the message being printed
+	this.prefix = null;
+}
+Logger.defaultOptions = {
+	level: 'info'
+};
+Logger.levels = levels;
+Logger.prototype = Object.assign(Object.create(Printer.prototype), {
+	constructor: Logger,
+
+
+	/**
+	 * Returns a logger of a sub-namespace that prints to the same output.
+	 *
+	 * @param {string} namespace - The name of the sub-namespace.
+	 * @param {Object} [options] - Overrides the options of this logger.
+	 * @returns {Logger} the new logger.
+	 */
+	child(namespace, options) {
+		let ns = this.options.namespace ? this.options.namespace + ':' + namespace : namespace;
+		return new this.constructor(this.out,
+			Object.assign({}, this.options, options, { namespace: ns }), this.depth);
+	},
+
+
+	/**
+	 * Returns true if messages of a level are printed.
+	 *
+	 * @param {string} level - A log level.
+	 * @returns {boolean}
+	 */
+	enabled(level) {
+		if (!levels[level]) {
+			throw new Error("Unknown log level: " + level);
+		}
+		if (levels[level] >= (levels[this.options.level] || levels.info)) {
+			return true;
+		}
+		let debug = this.options.debug !== undefined ? this.options.debug : process.env.MM_DEBUG;
+		return matchNamespace(this.options.namespace || '', debug || '');
+	},
+
+
+	/**
+	 * Prints a message of a level in a separate line. The arguments are
+	 * formatted like by {@link Printer#print}.
+	 *
+	 * @param {string} level - A log level.
+	 * @param {any} [fmt] - Format string or any other value.
+	 * @returns the logger.
+	 */
+	log(level) {
+		if (!this.enabled(level)) {
+			return this;
+		}
+		let args = Array.prototype.slice.call(arguments, 1);
+		this.br();
+		this.prefix = linePrefix(this.options, level);
+		try {
+			this.print(...args);
+			this.br();
+		} finally {
+			this.prefix = null;
+		}
+		return this;
+	},
+
+
+	/**
+	 * Prints a message of the `trace` level, see {@link Logger#log}.
+	 * @returns the logger.
+	 */
+	trace() {
+		return this.log('trace', ...arguments);
+	},
+
+
+	/**
+	 * Prints a message of the `debug` level, see {@link Logger#log}.
+	 * @returns the logger.
+	 */
+	debug() {
+		return this.log('debug', ...arguments);
+	},
+
+
+	/**
+	 * Prints a message of the `info` level, see {@link Logger#log}.
+	 * @returns the logger.
+	 */
+	info() {
+		return this.log('info', ...arguments);
+	},
+
+
+	/**
+	 * Prints a message of the `warn` level, see {@link Logger#log}.
+	 * @returns the logger.
+	 */
+	warn() {
+		return this.log('warn', ...arguments);
+	},
+
+
+	/**
+	 * Prints a message of the `error` level, see {@link Logger#log}.
+	 * @returns the logger.
+	 */
+	error() {
+		return this.log('error', ...arguments);
+	},
+
+
+	/* Layout */
+
+
+	_startLine() {
+		if (this.prefix) {
+			for (let token of this.prefix) {
+				this._output(token[0], token[1]);
+			}
+		}
+		Printer.prototype._startLine.call(this);
+	},
+
+
+	_write(value, style, depth, keepSpaces) {
+		// start lines after line breaks with the prefix
+		let lines = this.prefix ? value.split('\n') : [value];
+		for (let i = 0; i < lines.length; ++i) {
+			if (i > 0) {
+				Printer.prototype._write.call(this, '\n', style, depth);
+				this.lineLength = 0;
+			}
+			Printer.prototype._write.call(this, lines[i], style, depth, keepSpaces);
+		}
+	},
+
+
+	_sink() {
+		let sink = Printer.prototype._sink.call(this);
+		if (this.prefix) {
+			// the prefix is not included in the line length
+			for (let token of this.prefix) {
+				sink.limit -= layout.width(token[0]);
+			}
+		}
+		return sink;
+	},
+});
+
+
+/**
+ * Returns the tokens of the line prefix of a message.
+ * @param {Object} options - Logger options.
+ * @param {string} level - The level of the message.
+ * @returns {Array} `[text, style]` pairs.
+ */
+function linePrefix(options, level) {
+	let tokens = [];
+	if (options.prefix) {
+		tokens.push([options.prefix]);
+	}
+	if (options.timestamps) {
+		let date = new Date();
+		let ts = typeof options.timestamps === 'function' ?
+			options.timestamps(date) : date.toISOString();
+		tokens.push([ts + ' ', 'annotation']);
+	}
+	tokens.push([level.toUpperCase(), levelStyles[level]]);
+	tokens.push([' '.repeat(6 - level.length)]);
+	if (options.namespace) {
+		tokens.push([options.namespace + ':', 'annotation'], [' ']);
+	}
+	return tokens;
+}
+
+
+/**
+ * Returns true if a namespace matches a list of namespace patterns.
+ * @param {string} namespace - A namespace.
+ * @param {string} patterns - Comma or space separated patterns.
+ */
+function matchNamespace(namespace, patterns) {
+	let enabled = false;
+	for (let pattern of patterns.split(/[\s,]+/)) {
+		if (!pattern) {
+			continue;
+		}
+		let exclude = pattern[0] === '-';
+		if (exclude) {
+			pattern = pattern.substring(1);
+		}
+		let re = new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+		if (re.test(namespace)) {
+			if (exclude) {
+				return false;
+			}
+			enabled = true;
+		}
+	}
+	return enabled;
+}
+
+
+/**
+ * Escapes the special characters of regular expressions in a string.
+ * @param {string} str - A string.
+ */
+function escapeRegExp(str) {
+	return str.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&');
+}
+
+
+module.exports = {
+	Logger: Logger
+};
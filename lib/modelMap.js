@@ -4,41 +4,380 @@
 const mm = require("metamaya/lib/implementation");
 
 
+// Precedence of expressions that never need parentheses.
+const primary = 10;
+// Precedence of member access and function call targets.
+const member = 9;
+// Precedence of prefix operators.
+const prefix = 8;
+
+
+/**
+ * Built-in functions printed as infix or prefix operators, mapped to their
+ * symbol, arity, precedence and associativity.
+ */
+const operators = new Map([
+  ['or', { symbol: '||', arity: 2, precedence: 1 }],
+  ['and', { symbol: '&&', arity: 2, precedence: 2 }],
+  ['eq', { symbol: '==', arity: 2, precedence: 3 }],
+  ['ne', { symbol: '!=', arity: 2, precedence: 3 }],
+  ['lt', { symbol: '<', arity: 2, precedence: 4 }],
+  ['le', { symbol: '<=', arity: 2, precedence: 4 }],
+  ['gt', { symbol: '>', arity: 2, precedence: 4 }],
+  ['ge', { symbol: '>=', arity: 2, precedence: 4 }],
+  ['add', { symbol: '+', arity: 2, precedence: 5 }],
+  ['sub', { symbol: '-', arity: 2, precedence: 5 }],
+  ['mul', { symbol: '*', arity: 2, precedence: 6 }],
+  ['div', { symbol: '/', arity: 2, precedence: 6 }],
+  ['mod', { symbol: '%', arity: 2, precedence: 6 }],
+  ['pow', { symbol: '**', arity: 2, precedence: 7, rightAssoc: true }],
+  ['neg', { symbol: '-', arity: 1, precedence: prefix }],
+  ['not', { symbol: '!', arity: 1, precedence: prefix }],
+]);
+
+
+/**
+ * Returns the operator of an invocation or undefined if it must be printed
+ * as a function call.
+ * @param {Printer} printer - The printer.
+ * @param {Invocation} node - An invocation.
+ */
+function operatorOf(printer, node) {
+  if (printer.options.infix === false ||
+    node.target && !(node.target instanceof mm.model.This) ||
+    !(node.func instanceof mm.model.KeyReference)) {
+    return undefined;
+  }
+  let op = operators.get(node.func.key);
+  return op && op.arity === node.args.length ? op : undefined;
+}
+
+
+/**
+ * Returns the precedence of an expression as it is printed.
+ * @param {Printer} printer - The printer.
+ * @param {any} node - A program model node.
+ */
+function precedenceOf(printer, node) {
+  if (node instanceof mm.Wrapper) {
+    return precedenceOf(printer, node.obj);
+  }
+  if (node instanceof mm.model.Closure && !printer.options.annotate) {
+    return precedenceOf(printer, printer.options.unreduce ? node[mm.Unreduce]() : node.expr);
+  }
+  if (node instanceof mm.model.Invocation) {
+    let op = operatorOf(printer, node);
+    return op ? op.precedence : member;
+  }
+  if (node instanceof mm.model.Function) {
+    return 0;
+  }
+  if (typeof node === 'number' && (node < 0 || Object.is(node, -0))) {
+    return prefix;
+  }
+  return primary;
+}
+
+
+/**
+ * Returns true if an expression is printed with a leading minus sign.
+ * @param {Printer} printer - The printer.
+ * @param {any} node - A program model node.
+ */
+function startsWithMinus(printer, node) {
+  if (typeof node === 'number') {
+    return node < 0 || Object.is(node, -0);
+  }
+  if (node instanceof mm.model.Invocation) {
+    let op = operatorOf(printer, node);
+    return op !== undefined && op.arity === 1 && op.symbol === '-';
+  }
+  return false;
+}
+
+
+/**
+ * Prints an expression, parenthesized if its precedence is lower than
+ * required.
+ * @param {Printer} printer - The printer.
+ * @param {any} node - A program model node.
+ * @param {number} precedence - Minimal precedence without parentheses.
+ */
+function operand(printer, node, precedence) {
+  if (precedenceOf(printer, node) < precedence) {
+    printer._punct('(')._model(node)._punct(')');
+  } else {
+    printer._model(node);
+  }
+}
+
+
+/**
+ * Prints an operator invocation in infix or prefix form.
+ * @param {Printer} printer - The printer.
+ * @param {Invocation} node - An invocation.
+ * @param {Object} op - The operator.
+ */
+function printOperator(printer, node, op) {
+  let p = op.precedence;
+  if (op.arity === 1) {
+    printer._punct(op.symbol);
+    let arg = node.args[0];
+    // avoid printing `--x`
+    operand(printer, arg, op.symbol === '-' && startsWithMinus(printer, arg) ? primary : p);
+  } else {
+    // `-x ** 2` is a syntax error in Javascript, so prefix operators and
+    // negative numbers are parenthesized on the left of `**`
+    operand(printer, node.args[0], op.rightAssoc ? Math.max(p + 1, prefix + 1) : p);
+    printer._punct(' ' + op.symbol + ' ');
+    operand(printer, node.args[1], op.rightAssoc ? p : p + 1);
+  }
+}
+
+
+
+/**
+ * Returns the bindings of an environment: the entries of a `Map` or the
+ * own enumerable properties of an object. Bindings are read through
+ * property descriptors, so lazy bindings aren't evaluated.
+ * @param {any} env - An environment.
+ * @returns {Array} `[key, descriptor]` pairs.
+ */
+function envBindings(env) {
+  if (env instanceof mm.Wrapper) {
+    return envBindings(env.obj);
+  }
+  if (env instanceof Map) {
+    return Array.from(env, (entry) => [entry[0], { value: entry[1] }]);
+  }
+  if (env === null || typeof env !== 'object') {
+    return [];
+  }
+  return Reflect.ownKeys(env).filter((key) => Object.prototype.propertyIsEnumerable.call(env, key))
+    .map((key) => [key, Object.getOwnPropertyDescriptor(env, key)]);
+}
+
+
+/**
+ * Returns the descriptor of a binding of an environment, inherited ones
+ * included, or undefined if the environment doesn't bind the key.
+ * @param {any} env - An environment.
+ * @param {any} key - The key of the binding.
+ */
+function envBinding(env, key) {
+  if (env instanceof mm.Wrapper) {
+    return envBinding(env.obj, key);
+  }
+  if (env instanceof Map) {
+    return env.has(key) ? { value: env.get(key) } : undefined;
+  }
+  for (let obj = env; obj !== null && typeof obj === 'object'; obj = Object.getPrototypeOf(obj)) {
+    let desc = Object.getOwnPropertyDescriptor(obj, key);
+    if (desc) {
+      return desc;
+    }
+  }
+  return undefined;
+}
+
+
+/**
+ * Returns true if an environment binds a key to the same value or the
+ * same accessors.
+ * @param {any} env - An environment.
+ * @param {Array} binding - A `[key, descriptor]` pair.
+ */
+function binds(env, binding) {
+  let desc = envBinding(env, binding[0]);
+  if (!desc) {
+    return false;
+  }
+  if ('value' in binding[1]) {
+    return 'value' in desc && desc.value === binding[1].value;
+  }
+  return desc.get === binding[1].get && desc.set === binding[1].set;
+}
+
+
+/**
+ * Prints the bindings of the environment of a closure except the ones
+ * that are identical in the enclosing environment.
+ * @param {Printer} printer - The printer.
+ * @param {any} env - The environment of the closure.
+ * @param {any} outer - The environment of the enclosing closure.
+ */
+function printEnv(printer, env, outer) {
+  let bindings = envBindings(env).filter((binding) => !binds(outer, binding));
+  if (bindings.length === 0) {
+    return;
+  }
+  printer._punct(' ')._annotation('@env')._punct(' ');
+  printer._startBlock({
+    open: { value: '{ ' },
+    close: ' }',
+    terminator: {
+      value: ';',
+      breakValue: ''
+    }
+  });
+  for (let binding of bindings) {
+    printer._startItem()._key(binding[0])._punct(' = ');
+    if ('value' in binding[1]) {
+      printer._model(binding[1].value);
+    } else {
+      printer._accessor(binding[1]);
+    }
+    printer._endItem();
+  }
+  printer._endBlock();
+}
+
+
+/**
+ * Returns the constructor that a constructor inherits from, i.e. the
+ * nearest constructor in its prototype chain.
+ * @param {Constructor} node - A constructor.
+ */
+function baseOf(node) {
+  for (let proto = Object.getPrototypeOf(node);
+    proto && proto !== mm.model.Constructor.prototype;
+    proto = Object.getPrototypeOf(proto)) {
+    if (Object.prototype.hasOwnProperty.call(proto, 'stms')) {
+      return proto;
+    }
+  }
+  return undefined;
+}
+
+
+/**
+ * Returns the statements of a constructor without the inherited ones.
+ * @param {Constructor} node - A constructor.
+ */
+function ownStms(node) {
+  return Object.prototype.hasOwnProperty.call(node, 'stms') ? node.stms : [];
+}
+
+
+/**
+ * Returns the statements of a constructor followed by the inherited
+ * statements that are not overridden.
+ * @param {Constructor} node - A constructor.
+ * @param {boolean} marked - Mark the overriding and inherited statements.
+ * @returns {Array} `[stm, mark]` pairs.
+ */
+function inheritedStms(node, marked) {
+  let chain = [];
+  for (let ctor = node; ctor; ctor = baseOf(ctor)) {
+    chain.push(ctor);
+  }
+  let keyOf = (stm) => stm instanceof mm.model.Definition ? stm.key : undefined;
+  // keys defined by the base constructors
+  let inherited = new Set();
+  for (let base of chain.slice(1)) {
+    for (let stm of ownStms(base)) {
+      inherited.add(keyOf(stm));
+    }
+  }
+  let defined = new Set();
+  let result = [];
+  chain.forEach((ctor, i) => {
+    for (let stm of ownStms(ctor)) {
+      let key = keyOf(stm);
+      if (key !== undefined && defined.has(key)) {
+        // overridden
+        continue;
+      }
+      let mark;
+      if (i > 0) {
+        mark = '@inherited';
+      } else if (key !== undefined && inherited.has(key)) {
+        mark = '@override';
+      }
+      result.push([stm, marked ? mark : undefined]);
+      if (key !== undefined) {
+        defined.add(key);
+      }
+    }
+  });
+  return result;
+}
+
+
+/**
+ * Returns true if a statement may start with a bracket, so it would
+ * continue the expression of the previous statement if they were only
+ * separated by a line break, e.g. `a = b` followed by `["c d"] = 1`.
+ * @param {Printer} printer - The printer.
+ * @param {any} stm - A statement.
+ */
+function startsWithBracket(printer, stm) {
+  return !(stm instanceof mm.model.Definition) || printer._bracketsKey(stm.key);
+}
+
+
+/**
+ * Prints the statements of a constructor.
+ * @param {Printer} printer - The printer.
+ * @param {Array} stms - `[stm, mark]` pairs, where `mark` is an optional
+ *                       annotation printed before the statement.
+ */
+function printStms(printer, stms) {
+  if (stms.length === 0) {
+    printer._punct("{}");
+    return;
+  }
+  // source code must parse back, so statements are separated by `;` if
+  // a line break is ambiguous
+  let separated = printer.options.source &&
+    stms.some((entry, i) => i > 0 && startsWithBracket(printer, entry[0]));
+  printer._startBlock({
+    open: { value: '{ ' },
+    close: ' }',
+    terminator: {
+      value: ';',
+      breakValue: separated ? ';' : ''
+    }
+  });
+  for (let entry of stms) {
+    printer._startItem();
+    if (entry[1]) {
+      printer._annotation(entry[1])._punct(' ');
+    }
+    printer._model(entry[0])._endItem();
+  }
+  printer._endBlock();
+}
+
+
 /**
  * Maps program model classes to printing functions.
  * When a function is called, a `Printer` object is passed as `this`.
  */
-module.exports = new Map([
+const modelMap = new Map([
   [mm.Wrapper.prototype, function(node) {
     this._model(node.obj);
   }],
 
 
   [mm.model.Definition.prototype, function(node) {
-    this._key(node.key)._emit(" = ")._model(node.value);
+    this._key(node.key)._punct(" = ")._model(node.value);
   }],
 
 
   [mm.model.Constructor.prototype, function(node) {
-    // TODO: print prototype
     if (this.options.annotate) {
-      this._keyword('@ctor');
+      this._annotation('@ctor');
     }
-    if (node.stms.length === 0) {
-      this._emit("{}");
+    let base = baseOf(node);
+    if (base && (this.options.inherited || this.options.source)) {
+      // there's no syntax for inheritance, so source code is flattened
+      printStms(this, inheritedStms(node, !this.options.source));
     } else {
-      this._startBlock({
-        open: { value: '{ ' },
-        close: ' }',
-        terminator: {
-          value: ';',
-          breakValue: ''
-        }
-      });
-      for (let stm of node.stms) {
-        this._startItem()._model(stm)._endItem();
+      printStms(this, ownStms(node).map((stm) => [stm]));
+      if (base) {
+        this._punct(' ')._annotation('extends')._punct(' ')._model(base);
       }
-      this._endBlock();
     }
   }],
 
@@ -54,14 +393,14 @@ module.exports = new Map([
 
 
   [mm.model.PropertyReference.prototype, function(node) {
-    this._model(node.target);
-    if (this._isIdentifier(node.key)) { this._emit('.'); }
+    operand(this, node.target, member);
+    if (this._isIdentifier(node.key)) { this._punct('.'); }
     this._key(node.key);
   }],
 
 
   [mm.model.Function.prototype, function (node) {
-    this._parenList(node.params)._emit(' => ')._model(node.body);
+    this._parenList(node.params)._punct(' => ')._model(node.body);
   }],
 
 
@@ -71,33 +410,146 @@ module.exports = new Map([
 
 
   [mm.model.Invocation.prototype, function(node) {
+    let op = operatorOf(this, node);
+    if (op) {
+      printOperator(this, node, op);
+      return;
+    }
     if (node.target && !(node.target instanceof mm.model.This)) {
-      this._model(node.target);
+      operand(this, node.target, member);
       if (node.func instanceof mm.model.KeyReference) {
         // the function is a property of the target
-        this._emit('.');
+        this._punct('.');
       } else {
         // bind operator
-        this._emit('::');
+        this._punct('::');
       }
     }
-    this._model(node.func);
+    operand(this, node.func, member);
     this._parenList(node.args);
   }],
 
 
   [mm.model.Closure.prototype, function(node) {
-    // TODO: check if env is different from the current env
     var expr;
     if (this.options.unreduce) {
       expr = node[mm.Unreduce]();
     } else {
       expr = node.expr;
     }
-    if (this.options.annotate) {
-      this._keyword('@closure')._emit('(')._model(expr)._emit(')');
-    } else {
-      this._model(expr);
+    let outer = this.env;
+    this.env = node.env;
+    try {
+      if (this.options.annotate) {
+        this._annotation('@closure')._punct('(')._model(expr);
+      } else {
+        this._model(expr);
+      }
+      if (this.options.closureEnv && node.env !== outer) {
+        printEnv(this, node.env, outer);
+      }
+      if (this.options.annotate) {
+        this._punct(')');
+      }
+    } finally {
+      this.env = outer;
     }
   }],
 ]);
+
+
+/**
+ * Maps the printing functions of `modelMap` to functions that visit the
+ * nodes they print, in the order they are printed. They are used to find
+ * the nodes printed more than once without printing the model. When a
+ * function is called, a copy of the printer whose `env` is tracked is
+ * passed as `this`, the node and a `visit` function as arguments. `visit`
+ * is called with each child and true if the child is printed in a block,
+ * which counts towards `maxDepth`. Items elided by `maxItems` aren't
+ * visited.
+ */
+const childMap = new Map([
+  [mm.Wrapper.prototype, function(node, visit) {
+    visit(node.obj);
+  }],
+
+
+  [mm.model.Definition.prototype, function(node, visit) {
+    visit(node.key);
+    visit(node.value);
+  }],
+
+
+  [mm.model.Constructor.prototype, function(node, visit) {
+    let base = baseOf(node);
+    if (base && (this.options.inherited || this.options.source)) {
+      inheritedStms(node, false).slice(0, this.options.maxItems).forEach((entry) => visit(entry[0], true));
+    } else {
+      ownStms(node).slice(0, this.options.maxItems).forEach((stm) => visit(stm, true));
+      if (base) {
+        visit(base);
+      }
+    }
+  }],
+
+
+  [mm.model.This.prototype, function(node, visit) {
+  }],
+
+
+  [mm.model.KeyReference.prototype, function(node, visit) {
+    visit(node.key);
+  }],
+
+
+  [mm.model.PropertyReference.prototype, function(node, visit) {
+    visit(node.target);
+    visit(node.key);
+  }],
+
+
+  [mm.model.Function.prototype, function(node, visit) {
+    node.params.slice(0, this.options.maxItems).forEach((param) => visit(param, true));
+    visit(node.body);
+  }],
+
+
+  [mm.model.Parameter.prototype, function(node, visit) {
+    visit(node.name);
+  }],
+
+
+  [mm.model.Invocation.prototype, function(node, visit) {
+    if (operatorOf(this, node)) {
+      node.args.forEach((arg) => visit(arg));
+      return;
+    }
+    if (node.target && !(node.target instanceof mm.model.This)) {
+      visit(node.target);
+    }
+    visit(node.func);
+    node.args.slice(0, this.options.maxItems).forEach((arg) => visit(arg, true));
+  }],
+
+
+  [mm.model.Closure.prototype, function(node, visit) {
+    let outer = this.env;
+    this.env = node.env;
+    // unreduced expressions are created while they are printed, so they
+    // can't be shared
+    if (!this.options.unreduce) {
+      visit(node.expr);
+    }
+    if (this.options.closureEnv && node.env !== outer) {
+      envBindings(node.env).filter((binding) => !binds(outer, binding))
+        .slice(0, this.options.maxItems).forEach((binding) => visit(binding[1].value, true));
+    }
+    this.env = outer;
+  }],
+].map((entry) => [modelMap.get(entry[0]), entry[1]]));
+
+
+module.exports = {
+  modelMap: modelMap,
+  childMap: childMap
+};
@@ -0,0 +1,203 @@
+﻿"use strict";
+
+
+const mm = require("metamaya/lib/implementation");
+
+
+/**
+ * Selects the sub-models of a model by a path, e.g. `body.f.body` or
+ * `stms[0].value`. Each step of the path selects a child of the current
+ * nodes:
+ *
+ * - a definition of a constructor by its key, which selects the value of
+ *   the definition (inherited definitions included),
+ * - an item of an array by its index,
+ * - an entry of a map by its key,
+ * - a field of any other object. Accessor properties aren't fields, they
+ *   aren't invoked.
+ *
+ * Wrappers are transparent and closures are transparent except for their
+ * `env` field. A `*` in a step matches any characters of a key, a `**`
+ * step matches any number of steps.
+ *
+ * @param {any} node - The root of the model.
+ * @param {string} path - The path.
+ * @returns {Array} `{ node, crumbs }` objects in document order, where
+ *                  `crumbs` are the keys of the steps from the root.
+ * @throws {Error} if the path doesn't select any node.
+ */
+function select(node, path) {
+	let steps = parsePath(path);
+	let matches = [];
+	// the failed step closest to the end of the path
+	let failure = { step: -1 };
+	let visit = (current, crumbs, step, visited) => {
+		if (step === steps.length) {
+			matches.push({ node: current, crumbs: crumbs });
+			return;
+		}
+		if (steps[step] === '**') {
+			if (visited.has(current)) {
+				return;
+			}
+			visited.add(current);
+			// match no step, then one step more
+			visit(current, crumbs, step + 1, new Set());
+			for (let child of children(current)) {
+				visit(child[1], crumbs.concat(crumb(child)), step, visited);
+			}
+			visited.delete(current);
+			return;
+		}
+		let re = pattern(steps[step]);
+		let found = false;
+		for (let child of children(current)) {
+			if (re.test(child[0])) {
+				found = true;
+				visit(child[1], crumbs.concat(crumb(child)), step + 1, new Set());
+			}
+		}
+		if (!found && step > failure.step) {
+			failure = { step: step, node: current, crumbs: crumbs };
+		}
+	};
+	visit(node, [], 0, new Set());
+	if (matches.length === 0) {
+		throw pathError(path, steps, failure);
+	}
+	// keep the first match of objects reached by several paths
+	let objects = new Set();
+	return matches.filter((match) => {
+		if (match.node === null || typeof match.node !== 'object') {
+			return true;
+		}
+		if (objects.has(match.node)) {
+			return false;
+		}
+		objects.add(match.node);
+		return true;
+	});
+}
+
+
+/**
+ * Splits a path to steps. Indices in brackets are separate steps:
+ * `args[0].body` is `['args', '0', 'body']`.
+ * @param {string} path - The path.
+ */
+function parsePath(path) {
+	return String(path).replace(/\[([^\]]*)\]/g, '.$1').split('.').filter((step) => step !== '');
+}
+
+
+/**
+ * Returns the children of a node as `[key, child, index]` triples.
+ * `index` is true for array items.
+ * @param {any} node - A node.
+ */
+function children(node) {
+	if (node === null || typeof node !== 'object') {
+		return [];
+	}
+	if (node instanceof mm.Wrapper) {
+		return children(node.obj);
+	}
+	if (node instanceof mm.model.Closure) {
+		let result = children(node.expr).filter((child) => child[0] !== 'env');
+		return result.concat([['env', node.env]]);
+	}
+	if (node instanceof mm.model.Constructor) {
+		return definitions(node);
+	}
+	if (Array.isArray(node)) {
+		return node.map((item, i) => [String(i), item, true]);
+	}
+	if (node instanceof Map) {
+		return Array.from(node, (entry) => [String(entry[0]), entry[1]]);
+	}
+	let result = [];
+	for (let key of Object.keys(node)) {
+		let desc = Object.getOwnPropertyDescriptor(node, key);
+		if ('value' in desc) {
+			result.push([key, desc.value]);
+		}
+	}
+	return result;
+}
+
+
+/**
+ * Returns the definitions of a constructor and the definitions inherited
+ * from its base constructors as `[key, value]` pairs.
+ * @param {Constructor} node - A constructor.
+ */
+function definitions(node) {
+	let result = [];
+	let keys = new Set();
+	for (let ctor = node; ctor instanceof mm.model.Constructor; ctor = Object.getPrototypeOf(ctor)) {
+		if (!Object.prototype.hasOwnProperty.call(ctor, 'stms')) {
+			continue;
+		}
+		for (let stm of ctor.stms) {
+			if (stm instanceof mm.model.Definition && !keys.has(String(stm.key))) {
+				keys.add(String(stm.key));
+				result.push([String(stm.key), stm.value]);
+			}
+		}
+	}
+	return result;
+}
+
+
+/**
+ * Returns the breadcrumb of a child: its key or `[index]` if it is an
+ * array item.
+ */
+function crumb(child) {
+	return child[2] ? '[' + child[0] + ']' : child[0];
+}
+
+
+/**
+ * Converts a step to a regular expression, `*` matches any characters.
+ * @param {string} step - A step of a path.
+ */
+function pattern(step) {
+	return new RegExp('^' + step.split('*').map(
+		(part) => part.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&')).join('.*') + '$');
+}
+
+
+/**
+ * Creates the error thrown when a path doesn't select any node.
+ */
+function pathError(path, steps, failure) {
+	let message = "Path '" + path + "' doesn't resolve";
+	if (failure.step >= 0) {
+		let keys = children(failure.node).map(crumb);
+		let at = failure.crumbs.length ? " at '" + joinCrumbs(failure.crumbs) + "'" : '';
+		message += ": no match for '" + steps[failure.step] + "'" + at +
+			(keys.length ? ', expected one of: ' + keys.join(', ') : ', it has no children');
+	}
+	return new Error(message);
+}
+
+
+/**
+ * Joins the breadcrumbs of a path, e.g. `body.args[0]`.
+ * @param {string[]} crumbs - The breadcrumbs.
+ * @param {string} [separator='.'] - Separates the keys.
+ */
+function joinCrumbs(crumbs, separator = '.') {
+	let str = '';
+	for (let c of crumbs) {
+		str += str && c[0] !== '[' ? separator + c : c;
+	}
+	return str;
+}
+
+
+module.exports = {
+	select: select,
+	joinCrumbs: joinCrumbs
+};
@@ -0,0 +1,99 @@
+﻿"use strict";
+
+
+/**
+ * Constructs an empty source map.
+ *
+ * @class
+ * @classdesc Maps ranges of the printed text to the model nodes that
+ * produced them. Pass it to a printer as the `sourceMap` option and every
+ * object printed by `model()` adds an entry `{ node, start, end }` where
+ * `start` and `end` are `{ line, column }` positions of the output of the
+ * printer. Lines and columns are 0-based, columns count UTF-16 code units
+ * and `end` is exclusive. Entries are in the order their nodes are
+ * printed, so nested nodes follow the node that contains them.
+ * References to shared nodes (`#1#`) are mapped to the shared node.
+ */
+function SourceMap() {
+	this.entries = [];
+}
+SourceMap.prototype = {
+	constructor: SourceMap,
+
+
+	/**
+	 * Adds an entry. Called by the printer.
+	 *
+	 * @param {Object} entry - `{ node, start, end }`.
+	 * @returns the source map.
+	 */
+	add(entry) {
+		this.entries.push(entry);
+		return this;
+	},
+
+
+	/**
+	 * Returns the entries whose range contains a position, the outermost
+	 * first.
+	 *
+	 * @param {number} line - 0-based line of the output.
+	 * @param {number} column - 0-based column of the output.
+	 * @returns {Array} the entries.
+	 */
+	entriesAt(line, column) {
+		let pos = { line: line, column: column };
+		return this.entries.filter((entry) => entry.end !== undefined &&
+			compare(entry.start, pos) <= 0 && compare(pos, entry.end) < 0);
+	},
+
+
+	/**
+	 * Returns the innermost node printed at a position.
+	 *
+	 * @param {number} line - 0-based line of the output.
+	 * @param {number} column - 0-based column of the output.
+	 * @returns {any} the node or undefined.
+	 */
+	nodeAt(line, column) {
+		let entries = this.entriesAt(line, column);
+		return entries.length ? entries[entries.length - 1].node : undefined;
+	},
+
+
+	/**
+	 * Returns the ranges where a node is printed.
+	 *
+	 * @param {any} node - A model node.
+	 * @returns {Array} the entries of the node.
+	 */
+	rangesOf(node) {
+		return this.entries.filter((entry) => entry.node === node);
+	},
+
+
+	/**
+	 * Removes all entries.
+	 *
+	 * @returns the source map.
+	 */
+	clear() {
+		this.entries = [];
+		return this;
+	},
+};
+
+
+/**
+ * Compares two positions.
+ * @returns {number} a negative number if `a` precedes `b`, 0 if they are
+ *                   the same, a positive number otherwise.
+ */
+function compare(a, b) {
+	return a.line !== b.line ? a.line - b.line : a.column - b.column;
+}
+
+
+module.exports = {
+	SourceMap: SourceMap
+};
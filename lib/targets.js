@@ -0,0 +1,113 @@
+﻿"use strict";
+
+
+/**
+ * Constructs an in-memory output target.
+ *
+ * @class
+ * @classdesc Collects the output of a printer in a string. It can be used
+ * instead of a writable stream.
+ */
+function MemoryTarget() {
+	this.text = '';
+}
+MemoryTarget.prototype = {
+	constructor: MemoryTarget,
+
+
+	/**
+	 * Appends a chunk of output to the text.
+	 *
+	 * @param {string} chunk - The output.
+	 * @returns {boolean} true.
+	 */
+	write(chunk) {
+		this.text += chunk;
+		return true;
+	},
+
+
+	/**
+	 * Clears the text.
+	 *
+	 * @returns the target.
+	 */
+	clear() {
+		this.text = '';
+		return this;
+	},
+
+
+	/**
+	 * Returns the text.
+	 */
+	toString() {
+		return this.text;
+	},
+};
+
+
+/**
+ * Constructs an output target that writes to several streams.
+ *
+ * @class
+ * @classdesc Writes the output of a printer to several streams. Each
+ * stream can have its own styling options (`colors`, `theme` and
+ * `colorDepth`) that override the options of the printer, e.g. to print
+ * colored output to a terminal and plain text to a log file. Layout options
+ * are shared by all streams.
+ * @param {Array} targets - Writable streams or `{ out, options }` objects.
+ */
+function TeeTarget(targets) {
+	this.targets = targets.map((target) =>
+		typeof target.write === 'function' ? { out: target } : Object.assign({}, target));
+}
+TeeTarget.prototype = {
+	constructor: TeeTarget,
+
+
+	/**
+	 * Writes a chunk of unstyled output to every stream.
+	 *
+	 * @param {string} chunk - The output.
+	 * @returns {boolean} true.
+	 */
+	write(chunk) {
+		for (let target of this.targets) {
+			target.out.write(chunk);
+		}
+		return true;
+	},
+
+
+	/**
+	 * Writes a token to every stream, styled according to the options of
+	 * the stream. Called by the printer instead of `write()`.
+	 *
+	 * @param {string} value - The text of the token.
+	 * @param {(string|function)} [style] - Token category or styling
+	 *                                      function.
+	 * @param {Printer} printer - The printer.
+	 */
+	writeToken(value, style, printer) {
+		for (let target of this.targets) {
+			if (!target.options) {
+				target.out.write(printer._styled(value, style, target.out));
+				continue;
+			}
+			if (target.base !== printer.options) {
+				// merge the options when the options of the printer change
+				target.base = printer.options;
+				target.merged = Object.assign({}, printer.options, target.options);
+			}
+			target.out.write(printer._styled(value, style, target.out, target.merged));
+		}
+		return true;
+	},
+};
+
+
+module.exports = {
+	MemoryTarget: MemoryTarget,
+	TeeTarget: TeeTarget
+};
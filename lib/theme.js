@@ -0,0 +1,380 @@
+﻿"use strict";
+
+
+/**
+ * Built-in color themes. A theme maps token categories to styles.
+ * A style is a space separated list of attributes:
+ *
+ * - a color name, e.g. `cyan`, `gray`, `brightRed`
+ * - a 256-color palette index, e.g. `208`
+ * - a hex RGB color, e.g. `#ff8800`
+ * - a text attribute: `bold`, `dim`, `italic`, `underline` or `inverse`
+ *
+ * Token categories are `identifier`, `key`, `keyword`, `string`, `number`,
+ * `punctuation`, `annotation`, `error` and the `deleted` and `inserted`
+ * lines of diffs.
+ */
+const themes = {
+	default: {
+		identifier: 'cyan',
+		key: 'cyan',
+		keyword: 'magenta',
+		string: 'yellow',
+		number: 'yellow',
+		punctuation: '',
+		annotation: 'gray',
+		error: 'red',
+		deleted: 'red',
+		inserted: 'green'
+	},
+	light: {
+		identifier: 'blue',
+		key: 'blue',
+		keyword: 'magenta',
+		string: 'red',
+		number: 'green',
+		punctuation: '',
+		annotation: 'gray',
+		error: 'bold red',
+		deleted: 'red',
+		inserted: 'green'
+	},
+	monokai: {
+		identifier: '#66d9ef',
+		key: '#a6e22e',
+		keyword: '#f92672',
+		string: '#e6db74',
+		number: '#ae81ff',
+		punctuation: '#f8f8f2',
+		annotation: 'italic #75715e',
+		error: 'bold #f92672',
+		deleted: '#f92672',
+		inserted: '#a6e22e'
+	},
+	mono: {
+		identifier: '',
+		key: 'bold',
+		keyword: 'bold',
+		string: '',
+		number: '',
+		punctuation: '',
+		annotation: 'dim',
+		error: 'inverse',
+		deleted: 'dim',
+		inserted: 'bold'
+	}
+};
+
+// ANSI foreground color codes of the 16 basic colors
+const basicColors = {
+	black: 30, red: 31, green: 32, yellow: 33,
+	blue: 34, magenta: 35, cyan: 36, white: 37,
+	gray: 90, grey: 90, brightBlack: 90, brightRed: 91, brightGreen: 92,
+	brightYellow: 93, brightBlue: 94, brightMagenta: 95, brightCyan: 96,
+	brightWhite: 97
+};
+
+// RGB values of the basic colors, used to approximate other colors
+const basicRgb = [
+	[30, 0, 0, 0], [31, 205, 0, 0], [32, 0, 205, 0], [33, 205, 205, 0],
+	[34, 0, 0, 238], [35, 205, 0, 205], [36, 0, 205, 205], [37, 229, 229, 229],
+	[90, 127, 127, 127], [91, 255, 0, 0], [92, 0, 255, 0], [93, 255, 255, 0],
+	[94, 92, 92, 255], [95, 255, 0, 255], [96, 0, 255, 255], [97, 255, 255, 255]
+];
+
+// CSS declarations of text attributes
+const cssAttributes = {
+	bold: 'font-weight: bold',
+	dim: 'opacity: 0.6',
+	italic: 'font-style: italic',
+	underline: 'text-decoration: underline',
+	inverse: 'filter: invert(100%)'
+};
+
+// component values of the 6x6x6 color cube of the 256-color palette
+const cubeLevels = [0, 95, 135, 175, 215, 255];
+
+// ANSI codes of text attributes: [open, close]
+const attributes = {
+	bold: [1, 22],
+	dim: [2, 22],
+	italic: [3, 23],
+	underline: [4, 24],
+	inverse: [7, 27]
+};
+
+
+/**
+ * Returns a theme object with the default styles filled in.
+ *
+ * @param {(string|Object)} theme - Name of a built-in theme or an object
+ *                          that overrides the styles of the default theme.
+ */
+function resolve(theme) {
+	if (typeof theme === 'string') {
+		if (!themes[theme]) {
+			throw new Error("Unknown color theme: " + theme);
+		}
+		theme = themes[theme];
+	}
+	return Object.assign({}, themes.default, theme);
+}
+
+
+/**
+ * Compiles a theme into styling functions.
+ *
+ * @param {(string|Object)} theme - Name of a built-in theme or an object
+ *                          that overrides the styles of the default theme.
+ * @param {number} depth - Color depth of the output: 1 (no colors),
+ *                         4 (16 colors), 8 (256 colors) or 24 (truecolor).
+ * @returns {Object} token categories mapped to functions that accept
+ *                   a string and return the styled string.
+ */
+function compile(theme, depth) {
+	theme = resolve(theme);
+	let styles = {};
+	for (let category of Object.keys(theme)) {
+		styles[category] = compileStyle(theme[category], depth);
+	}
+	return styles;
+}
+
+
+/**
+ * Compiles a style into a styling function.
+ * Returns undefined if the style doesn't change the text.
+ *
+ * @param {(string|function)} style - A style or a styling function.
+ * @param {number} depth - Color depth of the output.
+ */
+function compileStyle(style, depth) {
+	if (typeof style === 'function') {
+		return style;
+	}
+	if (!style || depth < 4) {
+		return undefined;
+	}
+	let open = [];
+	let close = [];
+	for (let attr of String(style).split(/\s+/)) {
+		if (!attr) {
+			continue;
+		}
+		if (attributes[attr]) {
+			open.push(attributes[attr][0]);
+			close.push(attributes[attr][1]);
+			continue;
+		}
+		let code = colorCode(attr, depth);
+		if (code === undefined) {
+			throw new Error("Unknown style attribute: " + attr);
+		}
+		open.push(code);
+		close.push(39);
+	}
+	if (open.length === 0) {
+		return undefined;
+	}
+	let prefix = '\u001b[' + open.join(';') + 'm';
+	let suffix = '\u001b[' + close.reverse().join(';') + 'm';
+	return (str) => prefix + str + suffix;
+}
+
+
+/**
+ * Converts a theme to CSS rules. Each token category is styled by the
+ * `<prefix><category>` class. Styling functions are ignored.
+ *
+ * @param {(string|Object)} theme - Name of a built-in theme or a theme
+ *                          object.
+ * @param {string} prefix - Prefix of the class names.
+ * @returns {string} the CSS rules.
+ */
+function css(theme, prefix) {
+	theme = resolve(theme);
+	let rules = [];
+	for (let category of Object.keys(theme)) {
+		let style = theme[category];
+		if (!style || typeof style !== 'string') {
+			continue;
+		}
+		let decls = [];
+		for (let attr of style.split(/\s+/)) {
+			if (cssAttributes[attr]) {
+				decls.push(cssAttributes[attr]);
+			} else if (attr) {
+				let rgb = colorRgb(attr);
+				if (!rgb) {
+					throw new Error("Unknown style attribute: " + attr);
+				}
+				decls.push('color: rgb(' + rgb.join(', ') + ')');
+			}
+		}
+		if (decls.length) {
+			rules.push('.' + prefix + category + ' { ' + decls.join('; ') + '; }');
+		}
+	}
+	return rules.join('\n');
+}
+
+
+/**
+ * Returns the RGB components of a color.
+ *
+ * @param {string} color - A color name, palette index or hex RGB color.
+ * @returns {number[]} the components or undefined if `color` is invalid.
+ */
+function colorRgb(color) {
+	if (basicColors[color]) {
+		let code = basicColors[color];
+		return basicRgb.find((entry) => entry[0] === code).slice(1);
+	}
+	if (/^\d+$/.test(color) && Number(color) < 256) {
+		return paletteRgb(Number(color));
+	}
+	if (/^#[0-9a-fA-F]{6}$/.test(color)) {
+		return [1, 3, 5].map((i) => parseInt(color.substr(i, 2), 16));
+	}
+	return undefined;
+}
+
+
+/**
+ * Returns the ANSI code of a foreground color.
+ *
+ * @param {string} color - A color name, palette index or hex RGB color.
+ * @param {number} depth - Color depth of the output.
+ */
+function colorCode(color, depth) {
+	if (basicColors[color]) {
+		return basicColors[color];
+	}
+	let rgb = colorRgb(color);
+	if (!rgb) {
+		return undefined;
+	}
+	if (color[0] !== '#') {
+		// palette index
+		if (depth >= 8) {
+			return '38;5;' + Number(color);
+		}
+	} else if (depth >= 24) {
+		return '38;2;' + rgb.join(';');
+	} else if (depth >= 8) {
+		return '38;5;' + paletteIndex(rgb);
+	}
+	return nearestBasic(rgb);
+}
+
+
+/**
+ * Returns the index of the 256-color palette entry closest to a color.
+ * @param {number[]} rgb - Red, green and blue components.
+ */
+function paletteIndex(rgb) {
+	let r = rgb[0], g = rgb[1], b = rgb[2];
+	if (r === g && g === b) {
+		// grayscale ramp
+		if (r < 8) {
+			return 16;
+		}
+		if (r > 248) {
+			return 231;
+		}
+		return Math.round((r - 8) / 247 * 24) + 232;
+	}
+	return 16 + 36 * cubeIndex(r) + 6 * cubeIndex(g) + cubeIndex(b);
+}
+
+
+/**
+ * Returns the index of the color cube level closest to a color component.
+ * @param {number} c - A color component.
+ */
+function cubeIndex(c) {
+	let best = 0;
+	for (let i = 1; i < cubeLevels.length; ++i) {
+		if (Math.abs(cubeLevels[i] - c) < Math.abs(cubeLevels[best] - c)) {
+			best = i;
+		}
+	}
+	return best;
+}
+
+
+/**
+ * Returns the RGB components of a 256-color palette entry.
+ * @param {number} index - Palette index.
+ */
+function paletteRgb(index) {
+	if (index < 16) {
+		return basicRgb[index].slice(1);
+	}
+	if (index >= 232) {
+		let c = (index - 232) * 10 + 8;
+		return [c, c, c];
+	}
+	index -= 16;
+	return [
+		cubeLevels[Math.floor(index / 36)],
+		cubeLevels[Math.floor(index / 6) % 6],
+		cubeLevels[index % 6]
+	];
+}
+
+
+/**
+ * Returns the code of the basic color closest to an RGB color.
+ * @param {number[]} rgb - Red, green and blue components.
+ */
+function nearestBasic(rgb) {
+	let best = 37;
+	let bestDistance = Infinity;
+	for (let entry of basicRgb) {
+		let d = 0;
+		for (let i = 0; i < 3; ++i) {
+			d += (entry[i + 1] - rgb[i]) * (entry[i + 1] - rgb[i]);
+		}
+		if (d < bestDistance) {
+			best = entry[0];
+			bestDistance = d;
+		}
+	}
+	return best;
+}
+
+
+/**
+ * Determines the color depth of a stream.
+ * Returns 1 (no colors) if `auto` is set and the stream is not a TTY or the
+ * `NO_COLOR` environment variable is set to a non-empty value.
+ *
+ * @param {Stream} out - The output stream.
+ * @param {boolean} auto - Detect whether colors are supported.
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {number} 1, 4, 8 or 24.
+ */
+function colorDepth(out, auto, env = process.env) {
+	if (auto && (env.NO_COLOR || !out || !out.isTTY || env.TERM === 'dumb')) {
+		return 1;
+	}
+	if (out && typeof out.getColorDepth === 'function') {
+		return Math.max(out.getColorDepth(env), 4);
+	}
+	if (/^(truecolor|24bit)$/.test(env.COLORTERM)) {
+		return 24;
+	}
+	if (/256/.test(env.TERM)) {
+		return 8;
+	}
+	return 4;
+}
+
+
+module.exports = {
+	themes: themes,
+	compile: compile,
+	css: css,
+	colorDepth: colorDepth
+};
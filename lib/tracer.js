@@ -0,0 +1,265 @@
+﻿"use strict";
+
+
+const mm = require("metamaya/lib/implementation");
+const Printer = require("./index").Printer;
+
+
+/**
+ * Constructs an evaluation tracer.
+ *
+ * @class
+ * @classdesc Prints the reduction steps of an evaluation as an indented
+ * call tree. Each step is reported by {@link Tracer#enter} before the
+ * expression is reduced and by {@link Tracer#exit} (or
+ * {@link Tracer#fail}) with its result. Steps without nested steps are
+ * printed in a single line: `expr ⇒ result @rule`, others print the
+ * expression, the nested steps indented, then the result:
+ *
+ *     f(5) @invoke
+ *       x * x ⇒ 25 @mul
+ *     ⇒ 25
+ *
+ * The steps are reported by the evaluator: {@link Tracer#hook} reports
+ * the calls of any method as steps. {@link Tracer#hookProgram} only
+ * reports the evaluations of the definitions of a compiled metamaya
+ * program, not the reductions inside them.
+ * @param {Printer} [printer] - The printer used to print the steps.
+ *                  Defaults to a printer that prints to `process.stdout`.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.maxDepth] - Steps nested deeper than this are
+ *                  elided as `…`. Unlimited by default.
+ * @param {string[]} [options.names] - Print only the steps of the
+ *                  definitions with these names and their nested steps.
+ * @param {Object} [options.model] - Printer options used to print the
+ *                  expressions and results, e.g. `{ maxDepth: 2 }`.
+ */
+function Tracer(printer, options = {}) {
+	this.printer = printer || new Printer(process.stdout);
+	this.options = options;
+	// steps being reduced
+	this.stack = [];
+	// indentation of the top level steps
+	this.depth = this.printer.depth;
+}
+Tracer.prototype = {
+	constructor: Tracer,
+
+
+	/**
+	 * Reports the beginning of a reduction step.
+	 *
+	 * @param {any} expr - The expression being reduced.
+	 * @param {(string|function)} [rule] - The rule or function applied.
+	 * @param {string} [name] - Name of the definition being evaluated.
+	 * @returns the tracer.
+	 */
+	enter(expr, rule, name) {
+		let parent = this.stack[this.stack.length - 1];
+		let names = this.options.names;
+		let visible = !names || parent !== undefined && parent.visible || names.indexOf(name) >= 0;
+		let frame = {
+			expr: expr,
+			rule: rule,
+			visible: visible,
+			depth: parent && parent.visible ? parent.depth + 1 : 0,
+			shown: false,
+			printed: false,
+			elided: false
+		};
+		let maxDepth = this.options.maxDepth;
+		frame.shown = visible && (maxDepth === undefined || frame.depth < maxDepth);
+		if (parent && parent.shown) {
+			if (!parent.printed) {
+				this._line(parent.depth, () => this._expr(parent));
+				parent.printed = true;
+			}
+			if (!frame.shown && !parent.elided) {
+				this._line(frame.depth, () => this.printer._annotation('…'));
+				parent.elided = true;
+			}
+		}
+		this.stack.push(frame);
+		return this;
+	},
+
+
+	/**
+	 * Reports the end of the current reduction step.
+	 *
+	 * @param {any} result - The result of the reduction.
+	 * @returns the tracer.
+	 */
+	exit(result) {
+		return this._end(() => this.printer.model(result, this.options.model));
+	},
+
+
+	/**
+	 * Reports that the current reduction step threw an error.
+	 *
+	 * @param {Error} error - The error.
+	 * @returns the tracer.
+	 */
+	fail(error) {
+		return this._end(() => this.printer._emit('throws ' + String(error), 'error'));
+	},
+
+
+	/**
+	 * Reports the calls of a method as reduction steps. The method is
+	 * replaced by a function that calls {@link Tracer#enter} and
+	 * {@link Tracer#exit} around the original method.
+	 *
+	 * @param {Object} target - The object that has the method, e.g. a
+	 *                 prototype.
+	 * @param {string} method - Name of the method.
+	 * @param {function} [describe] - Returns `{ expr, rule, name }` of a
+	 *                 step when called with the receiver and the arguments
+	 *                 of the method. By default the receiver is the
+	 *                 expression and the method name is the rule.
+	 * @returns {function} a function that restores the original method.
+	 */
+	hook(target, method, describe) {
+		let tracer = this;
+		return this._replace(target, method, (original) => function() {
+			let step = describe ? describe(this, arguments) : { expr: this, rule: method };
+			tracer.enter(step.expr, step.rule, step.name);
+			let result;
+			try {
+				result = original.apply(this, arguments);
+			} catch (e) {
+				tracer.fail(e);
+				throw e;
+			}
+			tracer.exit(result);
+			return result;
+		});
+	},
+
+
+	/**
+	 * Traces the evaluations of the definitions of a program compiled by
+	 * `mm.compile()`: the `get()` method of the program is replaced by a
+	 * function that hooks the `value()` method of the definitions it
+	 * returns. Each call of `value()` is a step named after the
+	 * definition, its expression is a reference to the definition and its
+	 * rule is `value`. The invocations and operator reductions inside a
+	 * definition aren't reported, only the definitions evaluated through
+	 * `program.get()` meanwhile, as nested steps.
+	 *
+	 *     a ⇒ 25 @value
+	 *
+	 * @param {Object} program - The compiled program.
+	 * @returns {function} a function that restores the program and its
+	 *                     definitions.
+	 */
+	hookProgram(program) {
+		let tracer = this;
+		let unhooks = [];
+		let hooked = new Set();
+		unhooks.push(this._replace(program, 'get', (get) => function(name) {
+			let definition = get.apply(this, arguments);
+			if (definition && typeof definition.value === 'function' && !hooked.has(definition)) {
+				hooked.add(definition);
+				unhooks.push(tracer.hook(definition, 'value',
+					() => ({ expr: new mm.model.KeyReference(name), rule: 'value', name: name })));
+			}
+			return definition;
+		}));
+		return () => {
+			for (let unhook of unhooks.reverse()) {
+				unhook();
+			}
+		};
+	},
+
+
+	/**
+	 * Replaces a method by the function returned by `wrap(original)`.
+	 * @returns {function} a function that restores the original method.
+	 */
+	_replace(target, method, wrap) {
+		let own = Object.prototype.hasOwnProperty.call(target, method);
+		let original = target[method];
+		target[method] = wrap(original);
+		return () => {
+			if (own) {
+				target[method] = original;
+			} else {
+				delete target[method];
+			}
+		};
+	},
+
+
+	/**
+	 * Ends the current step and prints its result if the step is shown.
+	 */
+	_end(printResult) {
+		let frame = this.stack.pop();
+		if (!frame) {
+			throw new Error("No reduction step to exit");
+		}
+		if (frame.shown) {
+			if (frame.printed) {
+				this._line(frame.depth, () => {
+					this.printer._punct('⇒ ');
+					printResult();
+				});
+			} else {
+				this._line(frame.depth, () => {
+					this.printer.model(frame.expr, this.options.model)._punct(' ⇒ ');
+					printResult();
+					this._rule(frame);
+				});
+			}
+		}
+		return this;
+	},
+
+
+	/**
+	 * Prints the expression and the rule of a step.
+	 */
+	_expr(frame) {
+		this.printer.model(frame.expr, this.options.model);
+		this._rule(frame);
+	},
+
+
+	/**
+	 * Prints the rule of a step as an annotation.
+	 */
+	_rule(frame) {
+		let rule = frame.rule;
+		if (typeof rule === 'function') {
+			rule = rule.name;
+		}
+		if (rule !== undefined && rule !== '') {
+			this.printer._punct(' ')._annotation('@' + String(rule));
+		}
+	},
+
+
+	/**
+	 * Prints a line of the call tree at an indentation level.
+	 */
+	_line(depth, print) {
+		let printer = this.printer;
+		let saved = printer.depth;
+		printer.br();
+		printer.depth = this.depth + depth;
+		try {
+			print();
+			printer.br();
+		} finally {
+			printer.depth = saved;
+		}
+	},
+};
+
+
+module.exports = {
+	Tracer: Tracer
+};
@@ -0,0 +1,183 @@
+﻿"use strict";
+
+
+// Single character escape sequences of string literals.
+const escapes = {
+	0x08: '\\b',
+	0x09: '\\t',
+	0x0A: '\\n',
+	0x0B: '\\v',
+	0x0C: '\\f',
+	0x0D: '\\r',
+	0x22: '\\"',
+	0x5C: '\\\\'
+};
+
+// Ranges of code points that occupy no columns: combining marks,
+// zero width characters and variation selectors.
+const zeroWidth = [
+	[0x0300, 0x036F], [0x0483, 0x0489], [0x0591, 0x05BD], [0x0610, 0x061A],
+	[0x064B, 0x065F], [0x0E31, 0x0E31], [0x0E34, 0x0E3A], [0x0E47, 0x0E4E],
+	[0x1AB0, 0x1AFF], [0x1DC0, 0x1DFF], [0x200B, 0x200F], [0x2028, 0x202E],
+	[0x2060, 0x2064], [0x20D0, 0x20FF], [0xFE00, 0xFE0F], [0xFE20, 0xFE2F],
+	[0xFEFF, 0xFEFF], [0xE0000, 0xE007F], [0xE0100, 0xE01EF]
+];
+
+// Ranges of code points that occupy two columns: East Asian wide and
+// fullwidth characters and emoji.
+const doubleWidth = [
+	[0x1100, 0x115F], [0x231A, 0x231B], [0x2329, 0x232A], [0x23E9, 0x23EC],
+	[0x25FD, 0x25FE], [0x2614, 0x2615], [0x26AA, 0x26AB], [0x26BD, 0x26BE],
+	[0x26F5, 0x26F5], [0x26FA, 0x26FA], [0x2705, 0x2705], [0x270A, 0x270B],
+	[0x2728, 0x2728], [0x274C, 0x274C], [0x2753, 0x2755], [0x2795, 0x2797],
+	[0x2B1B, 0x2B1C], [0x2B50, 0x2B50], [0x2E80, 0x303E], [0x3041, 0x33FF],
+	[0x3400, 0x4DBF], [0x4E00, 0x9FFF], [0xA000, 0xA4CF], [0xA960, 0xA97F],
+	[0xAC00, 0xD7A3], [0xF900, 0xFAFF], [0xFE10, 0xFE19], [0xFE30, 0xFE6F],
+	[0xFF00, 0xFF60], [0xFFE0, 0xFFE6], [0x16FE0, 0x16FE4], [0x17000, 0x18AFF],
+	[0x1B000, 0x1B16F], [0x1F004, 0x1F004], [0x1F0CF, 0x1F0CF], [0x1F18E, 0x1F18E],
+	[0x1F191, 0x1F19A], [0x1F200, 0x1F251], [0x1F300, 0x1F64F], [0x1F680, 0x1F6FF],
+	[0x1F7E0, 0x1F7EB], [0x1F90C, 0x1F9FF], [0x1FA70, 0x1FAFF], [0x20000, 0x3FFFD]
+];
+
+// Ranges of code points that are printed as escape sequences.
+const nonPrintable = [
+	[0x0000, 0x001F], [0x007F, 0x009F], [0x00AD, 0x00AD], [0x061C, 0x061C],
+	[0x180E, 0x180E], [0x200B, 0x200F], [0x2028, 0x202E], [0x2060, 0x206F],
+	[0xFEFF, 0xFEFF], [0xFFF9, 0xFFFB], [0xFFFE, 0xFFFF], [0xE0000, 0xE007F]
+];
+
+
+/**
+ * Returns a string literal that evaluates to `str` in metamaya and
+ * Javascript. Quotes, backslashes and control characters are escaped,
+ * lone surrogates and other non-printable characters are printed as
+ * `\u` escape sequences.
+ *
+ * @param {string} str - A string.
+ * @returns {string} the quoted string.
+ */
+function escape(str) {
+	let out = '"';
+	for (let i = 0; i < str.length; ++i) {
+		let code = str.charCodeAt(i);
+		let e = escapes[code];
+		if (e) {
+			out += e;
+		} else if (code >= 0xD800 && code <= 0xDFFF) {
+			let next = str.charCodeAt(i + 1);
+			if (code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF) {
+				let cp = (code - 0xD800) * 0x400 + next - 0xDC00 + 0x10000;
+				out += inRanges(cp, nonPrintable) ?
+					hex(code) + hex(next) : str.substring(i, i + 2);
+				i++;
+			} else {
+				// lone surrogate
+				out += hex(code);
+			}
+		} else if (inRanges(code, nonPrintable)) {
+			out += hex(code);
+		} else {
+			out += str[i];
+		}
+	}
+	return out + '"';
+}
+
+
+/**
+ * Returns the number of terminal columns occupied by a string.
+ * Wide characters count as two columns, combining marks and
+ * zero width characters don't count.
+ *
+ * @param {string} str - A string without line breaks.
+ * @returns {number} the display width.
+ */
+function width(str) {
+	let w = 0;
+	for (let i = 0; i < str.length; ++i) {
+		let code = str.charCodeAt(i);
+		if (code < 0x300) {
+			// fast path for Latin text
+			w += code >= 0x20 && (code < 0x7F || code > 0x9F) ? 1 : 0;
+			continue;
+		}
+		let cp = str.codePointAt(i);
+		if (cp > 0xFFFF) {
+			i++;
+		}
+		if (inRanges(cp, zeroWidth)) {
+			continue;
+		}
+		w += inRanges(cp, doubleWidth) ? 2 : 1;
+	}
+	return w;
+}
+
+
+/**
+ * Splits a string into pieces so that each piece ends with a line feed
+ * or is at most `maxWidth` columns wide. Surrogate pairs and combining
+ * marks are kept together.
+ *
+ * @param {string} str - A string.
+ * @param {number} [maxWidth=Infinity] - Maximal width of a piece.
+ * @returns {string[]} the pieces.
+ */
+function split(str, maxWidth = Infinity) {
+	let pieces = [];
+	let start = 0;
+	let w = 0;
+	for (let i = 0; i < str.length;) {
+		let cp = str.codePointAt(i);
+		let len = cp > 0xFFFF ? 2 : 1;
+		// measure the escaped form of the character
+		let cw = width(escape(str.substr(i, len))) - 2;
+		if (w + cw > maxWidth && w > 0 && cw > 0) {
+			pieces.push(str.substring(start, i));
+			start = i;
+			w = 0;
+		}
+		w += cw;
+		i += len;
+		if (cp === 0x0A && i < str.length) {
+			pieces.push(str.substring(start, i));
+			start = i;
+			w = 0;
+		}
+	}
+	if (start < str.length || pieces.length === 0) {
+		pieces.push(str.substring(start));
+	}
+	return pieces;
+}
+
+
+/**
+ * Returns true if a code point is in any of the given ranges.
+ */
+function inRanges(cp, ranges) {
+	for (let range of ranges) {
+		if (cp < range[0]) {
+			return false;
+		}
+		if (cp <= range[1]) {
+			return true;
+		}
+	}
+	return false;
+}
+
+
+/**
+ * Returns a `\u` escape sequence of a UTF-16 code unit.
+ */
+function hex(code) {
+	return '\\u' + ('000' + code.toString(16).toUpperCase()).slice(-4);
+}
+
+
+module.exports = {
+	escape: escape,
+	width: width,
+	split: split
+};
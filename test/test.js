@@ -1,6 +1,16 @@
 ﻿"use strict";
 
 const Printer = require("../lib/index").Printer;
+const HtmlPrinter = require("../lib/index").HtmlPrinter;
+const JsonExporter = require("../lib/index").JsonExporter;
+const DotExporter = require("../lib/index").DotExporter;
+const MemoryTarget = require("../lib/index").MemoryTarget;
+const TeeTarget = require("../lib/index").TeeTarget;
+const SourceMap = require("../lib/index").SourceMap;
+const Logger = require("../lib/index").Logger;
+const Tracer = require("../lib/index").Tracer;
+const cli = require("../lib/cli");
+const metamaya = require("metamaya");
 const mm = require("metamaya/lib/implementation");
 const parser = require("metamaya/lib/parser");
 const stream = require('stream');
@@ -25,6 +35,11 @@ let shortLineOptions = {
   indentSize: 2
 };
 
+let sourceOptions = {
+  colors: false,
+  source: true
+};
+
 test("noformatstr", (t) => {
   p(options).print();
   t.equal(output, "");
@@ -236,6 +251,60 @@ test("%m", (t) => {
   t.end();
 });
 
+test("%m-string", (t) => {
+  p(options).print("%m", 'a"b\\c');
+  t.equal(output, '"a\\"b\\\\c"');
+
+  p(options).print("%m", "\n\r\t\b\f\v");
+  t.equal(output, '"\\n\\r\\t\\b\\f\\v"');
+
+  p(options).print("%m", "\u0000\u001b\u007f\u2028\ufeff");
+  t.equal(output, '"\\u0000\\u001B\\u007F\\u2028\\uFEFF"');
+
+  p(options).print("%m", "\ud800x\udc00");
+  t.equal(output, '"\\uD800x\\uDC00"');
+
+  p(options).print("%m", "\u00e9\u4e2d\ud83d\ude00");
+  t.equal(output, '"\u00e9\u4e2d\ud83d\ude00"');
+
+  t.end();
+});
+
+test("wrap-strings", (t) => {
+  let wrap = { colors: false, wrapStrings: true };
+
+  p(wrap).print("%m", "short");
+  t.equal(output, '"short"');
+
+  p(wrap).print("%m", { a: "one\ntwo\n" });
+  t.equal(output, '{\n  a = "one\\n" +\n    "two\\n"\n}');
+
+  p({ colors: false, wrapStrings: true, breakLimit: 30 }).print("%m", "x".repeat(40));
+  t.equal(output, '"' + "x".repeat(24) + '" +\n  "' + "x".repeat(16) + '"');
+
+  p({ colors: false, wrapStrings: true, source: true }).print("%m", "one\ntwo");
+  t.equal(output, '"one\\ntwo"');
+
+  t.end();
+});
+
+test("display-width", (t) => {
+  let narrow = { colors: false, breakLimit: 15 };
+
+  // 6 wide characters occupy 12 columns
+  p(narrow).print("%m", ["\u4e2d\u6587\u5b57\u7b26\u4e32\u4e2d"]);
+  t.equal(output, '[\n  "\u4e2d\u6587\u5b57\u7b26\u4e32\u4e2d"\n]');
+
+  // combining marks don't occupy columns
+  p(narrow).print("%m", ["e\u0301e\u0301e\u0301e\u0301e\u0301e\u0301"]);
+  t.equal(output, '["e\u0301e\u0301e\u0301e\u0301e\u0301e\u0301"]');
+
+  let prt = p(options).print("\u4e2d").rule();
+  t.equal(output, "\u4e2d" + "-".repeat(prt.options.breakLimit - 2) + "\n");
+
+  t.end();
+});
+
 test("%m-array", (t) => {
   p(options).print("%m", []);
   t.equal(output, "[]");
@@ -276,12 +345,74 @@ test("%m-circular", (t) => {
   let o = {};
   o.a = o;
   p(options).print("%m", o);
-  t.equal(output, "{ a = @circular[object]; }");
+  t.equal(output, "#1= { a = #1#; }");
 
   let a = [];
   a[0] = a;
   p(options).print("%m", a);
-  t.equal(output, "[@circular[array]]");
+  t.equal(output, "#1= [#1#]");
+
+  p(options).print("%m", [null, null, undefined, undefined]);
+  t.equal(output, "[null, null, undefined, undefined]");
+
+  t.end();
+});
+
+test("%m-shared", (t) => {
+  let s = { x: 1 };
+  p(options).print("%m", [s, s]);
+  t.equal(output, "[#1= { x = 1; }, #1#]");
+
+  let o = { a: s, b: [s], c: { d: s } };
+  o.c.e = o.c;
+  p(options).print("%m", o);
+  t.equal(output, "{ a = #1= { x = 1; }; b = [#1#]; c = #2= { d = #1#; e = #2#; }; }");
+
+  p({ colors: false, expandShared: true }).print("%m", o);
+  t.equal(output, "{ a = { x = 1; }; b = [{ x = 1; }]; c = #1= { d = { x = 1; }; e = #1#; }; }");
+
+  p(sourceOptions).print("%m", [s, s]);
+  t.equal(output, "[{ x = 1; }, { x = 1; }]");
+
+  p(options).print("%m %m", [s, s], s);
+  t.equal(output, "[#1= { x = 1; }, #1#] { x = 1; }");
+
+  p({ colors: false, maxItems: 1 }).print("%m", [[s], s]);
+  t.equal(output, "[[{ x = 1; }], … 1 more]", "elided items aren't shared");
+
+  let closure = new mm.model.Closure(s, {});
+  let unreduced = 0;
+  closure[mm.Unreduce] = () => {
+    unreduced++;
+    return { y: 2 };
+  };
+  p({ colors: false, unreduce: true }).print("%m", [closure, s, s]);
+  t.equal(output, "[{ y = 2; }, #1= { x = 1; }, #1#]");
+  t.equal(unreduced, 1, "printing functions run once");
+
+  function Point() {
+    this.x = s;
+  }
+  let printed = 0;
+  let printer = p(options).register(Point, function(node) {
+    printed++;
+    this._id("Point")._punct("(")._model(node.x)._punct(")");
+  });
+  printer.print("%m", [new Point(), s]);
+  t.equal(output, "[Point(#1= { x = 1; }), #1#]", "registered printing functions are walked as objects");
+  t.equal(printed, 1);
+
+  p({ colors: false, maxDepth: 1 }).print("%m", [s, [s]]);
+  t.equal(output, "[{ … }, [ … ]]", "blocks elided by maxDepth aren't walked");
+  p({ colors: false, maxDepth: 1 }).print("%m", [s, s]);
+  t.equal(output, "[#1= { … }, #1#]");
+
+  let v = { v: 1 };
+  p(options).register(mm.model.Closure, function(node, next) {
+    this._annotation("λ");
+    next();
+  }).print("%m", [new mm.model.Closure(v, { z: v })]);
+  t.equal(output, "[λ{ v = 1; }]", "functions that call next() are walked like the next one");
 
   t.end();
 });
@@ -316,6 +447,91 @@ test("short-line", (t) => {
   p(shortLineOptions).print("%m", { a: { b: 2 } });
   t.equal(output, "{\n  a = {\n    b = 2\n  }\n}");
 
+  p(shortLineOptions).model(parse("f(x) = x * x; a = f(5)"));
+  t.equal(output, "{\n  f = (x) => x * x\n  a = f(5)\n}", "never breaks parameter and argument lists");
+
+  p(shortLineOptions).model(parse("a = f({ b = 1; }, 2)"));
+  t.equal(output, "{\n  a = f({\n    b = 1\n  }, 2)\n}", "breaks the blocks nested in argument lists");
+
+  t.end();
+});
+
+test("limits", (t) => {
+  let model = { a: [1, 2, 3, 4], b: { c: { d: 1 } }, s: "abcdefgh" };
+
+  p({ colors: false, maxDepth: 2 }).print("%m", model);
+  t.equal(output, '{ a = [1, 2, 3, 4]; b = { c = { … }; }; s = "abcdefgh"; }');
+
+  p({ colors: false, maxDepth: 0 }).print("%m", model);
+  t.equal(output, "{ … }");
+
+  p({ colors: false, maxItems: 2 }).print("%m", model);
+  t.equal(output, '{ a = [1, 2, … 2 more]; b = { c = { d = 1; }; }; … 1 more }');
+
+  p({ colors: false, maxItems: 0 }).print("%m", [1, 2]);
+  t.equal(output, "[… 2 more]");
+
+  p({ colors: false, maxItems: 1 }).print("%m", parse("start = f(1, 2, 3)"));
+  t.equal(output, "{ start = f(1, … 2 more); }");
+
+  p({ colors: false, maxStringLength: 3 }).print("%m", model.s);
+  t.equal(output, '"abc" … 5 more');
+
+  p({ colors: false, maxStringLength: 1 }).print("%m", "\ud83d\ude00");
+  t.equal(output, '"" … 2 more');
+
+  p({ colors: false, breakLimit: 0, maxItems: 1 }).print("%m", [1, 2]);
+  t.equal(output, "[\n  1,\n  … 1 more\n]");
+
+  p({ colors: false, source: true, maxItems: 1 }).print("%m", [1, 2]);
+  t.equal(output, "[1, 2]");
+
+  t.end();
+});
+
+test("limits-placeholder", (t) => {
+  let model = { a: [1, 2, 3], b: { c: 1 } };
+
+  p(options).print("%{maxDepth=1}m %m", model, model);
+  t.equal(output, "{ a = [ … ]; b = { … }; } { a = [1, 2, 3]; b = { c = 1; }; }");
+
+  p({ colors: false, maxItems: 1 }).print("%{ maxItems = 5 }m", model);
+  t.equal(output, "{ a = [1, 2, 3]; b = { c = 1; }; }");
+
+  p(options).print("%{annotate}m %m", new mm.model.Closure(3, 5), new mm.model.Closure(3, 5));
+  t.equal(output, "@closure(3) 3");
+
+  p(options).print("%{maxDepth=1}m");
+  t.equal(output, "%{maxDepth=1}m");
+
+  t.end();
+});
+
+test("fits-or-breaks", (t) => {
+  let narrow = { colors: false, breakLimit: 20 };
+
+  p(narrow).print("%m", { a: [1, 2, 3], b: "xxxxxxxxxxxx" });
+  t.equal(output, '{\n  a = [1, 2, 3]\n  b = "xxxxxxxxxxxx"\n}');
+
+  p(narrow).print("%m", [[1, 2], [3, 4]]);
+  t.equal(output, "[[1, 2], [3, 4]]");
+
+  p({ colors: false, breakLimit: 12 }).print("%m", [[1, 2, 3], [4, 5, 6]]);
+  t.equal(output, "[\n  [1, 2, 3],\n  [4, 5, 6]\n]");
+
+  p({ colors: false, breakLimit: 11 }).print("%m", [[1, 2, 3], [4]]);
+  t.equal(output, "[\n  [\n    1,\n    2,\n    3\n  ],\n  [4]\n]");
+
+  t.end();
+});
+
+test("indent", (t) => {
+  p(options).indent().print("a").br().unindent().print("b");
+  t.equal(output, "  a\nb");
+
+  p(shortLineOptions).indent().print("%m", [1]);
+  t.equal(output, "  [\n    1\n  ]");
+
   t.end();
 });
 
@@ -401,10 +617,1127 @@ test("wrapper", (t) => {
   t.end();
 });
 
+test("source", (t) => {
+  p(sourceOptions).model(parse('s = "a\\"b\\n"'));
+  t.equal(output, '{ s = "a\\"b\\n"; }');
+
+  p(sourceOptions).model({ "a b": 1, "this": 2, c: 3 });
+  t.equal(output, '{ ["a b"] = 1; ["this"] = 2; c = 3; }');
+
+  p({ colors: false, source: true, annotate: true }).model(parse("start = {}"));
+  t.equal(output, "{ start = {}; }");
+
+  p({ colors: false, source: true, annotate: true }).model(new mm.model.Closure(3, 5));
+  t.equal(output, "3");
+
+  t.end();
+});
+
+test("source-errors", (t) => {
+  let o = {};
+  o.a = o;
+  t.throws(() => p(sourceOptions).model(o), /circular reference/);
+  t.equal(output, "");
+
+  t.throws(() => p(sourceOptions).model(Symbol("S")), /Symbol\(S\)/);
+  t.throws(() => p(sourceOptions).model(function f() { }), /function f/);
+  t.throws(() => p(sourceOptions).model(NaN), /NaN/);
+
+  function Custom() {
+    this.a = 1;
+  }
+  t.throws(() => p(sourceOptions).model(new Custom()), /Custom/);
+
+  t.end();
+});
+
+test("source-roundtrip", (t) => {
+  let layouts = [
+    sourceOptions,
+    { colors: false, source: true, breakLimit: 0 },
+    { colors: false, source: true, breakLimit: 30, indentSize: 4 }
+  ];
+  for (let src of sourceCorpus.concat(randomPrograms(40, 2016))) {
+    for (let options of layouts) {
+      roundTrip(t, src, options);
+    }
+  }
+
+  t.end();
+});
+
 test("colors", (t) => {
   p(colorsOptions).model("a");
   t.ok(/\"a\"/.test(output));
 
+  p(colorsOptions).model({ k: 1 });
+  t.equal(output, "{ \u001b[36mk\u001b[39m = \u001b[33m1\u001b[39m; }");
+
+  t.end();
+});
+
+test("themes", (t) => {
+  p({ colors: true, theme: "light" }).model("a");
+  t.equal(output, '\u001b[31m"a"\u001b[39m');
+
+  p({ colors: true, theme: { string: "bold underline" } }).model("a");
+  t.equal(output, '\u001b[1;4m"a"\u001b[24;22m');
+
+  p({ colors: true, theme: "monokai", colorDepth: 24 }).model(1);
+  t.equal(output, "\u001b[38;2;174;129;255m1\u001b[39m");
+
+  p({ colors: true, theme: "monokai", colorDepth: 8 }).model(1);
+  t.equal(output, "\u001b[38;5;141m1\u001b[39m");
+
+  p({ colors: true, theme: "monokai", colorDepth: 4 }).model(1);
+  t.equal(output, "\u001b[94m1\u001b[39m");
+
+  p({ colors: true, theme: { number: "208" }, colorDepth: 8 }).model(1);
+  t.equal(output, "\u001b[38;5;208m1\u001b[39m");
+
+  t.throws(() => p({ colors: true, theme: "unknown" }).model(1), /Unknown color theme/);
+  t.throws(() => p({ colors: true, theme: { number: "sparkly" } }).model(1), /sparkly/);
+
+  t.end();
+});
+
+test("html", (t) => {
+  p({}, HtmlPrinter).model("<&>");
+  t.equal(output, '<span class="mm-string">&quot;&lt;&amp;&gt;&quot;</span>');
+
+  p({}, HtmlPrinter).model([1]);
+  t.equal(output, '<details class="mm-block" open><summary><span class="mm-punctuation">[</span></summary>' +
+    '<span class="mm-number">1</span></details><span class="mm-punctuation">]</span>');
+
+  p({ breakLimit: 0 }, HtmlPrinter).model({ a: 1 });
+  t.equal(output, '<details class="mm-block" open><summary><span class="mm-punctuation">{</span></summary>\n' +
+    '  <span class="mm-key">a</span><span class="mm-punctuation"> = </span><span class="mm-number">1</span>\n' +
+    '</details><span class="mm-punctuation">}</span>');
+
+  p({ maxDepth: 0 }, HtmlPrinter).model([1]);
+  t.equal(output, '<span class="mm-punctuation">[ </span><span class="mm-annotation">…</span><span class="mm-punctuation"> ]</span>');
+
+  p({}, HtmlPrinter).print("a<b %s", "&");
+  t.equal(output, "a&lt;b &amp;");
+
+  t.end();
+});
+
+test("html-page", (t) => {
+  let prt = p({}, HtmlPrinter).begin("<title>");
+  t.ok(output.startsWith("<!DOCTYPE html>"));
+  t.ok(output.indexOf("<title>&lt;title&gt;</title>") > 0);
+  t.ok(output.indexOf(".mm-string { color: rgb(205, 0, 0); }") > 0);
+  t.ok(output.endsWith('<pre class="mm-output">'));
+
+  output = "";
+  prt.println("%m", "a").end();
+  t.equal(output, '<span class="mm-string">&quot;a&quot;</span>\n</pre>\n</body>\n</html>\n');
+
+  p({ theme: { string: "bold #102030" } }, HtmlPrinter).begin();
+  t.ok(output.indexOf(".mm-string { font-weight: bold; color: rgb(16, 32, 48); }") > 0);
+
+  t.end();
+});
+
+test("json", (t) => {
+  let exporter = new JsonExporter();
+
+  t.deepEqual(json(exporter.export({ a: [1, "x", null, undefined, true] })), {
+    type: "Object",
+    children: [
+      { type: "Key", value: "a" },
+      { type: "Array", children: [
+        { type: "number", value: 1 },
+        { type: "string", value: "x" },
+        { type: "null" },
+        { type: "undefined" },
+        { type: "boolean", value: true }
+      ] }
+    ]
+  });
+
+  t.deepEqual(exporter.export(NaN), { type: "number", value: "NaN" });
+  t.deepEqual(exporter.export(Symbol("S")), { type: "symbol", value: "Symbol(S)" });
+  t.deepEqual(exporter.export(function f() { }), { type: "function", name: "f" });
+
+  t.deepEqual(json(exporter.export(parse("f(x) = x"))), {
+    type: "Constructor",
+    children: [
+      { type: "Definition", children: [
+        { type: "Key", value: "f" },
+        { type: "Function", children: [
+          { type: "Parameter", children: [{ type: "Key", value: "x" }] },
+          { type: "KeyReference", children: [{ type: "Key", value: "x" }] }
+        ] }
+      ] }
+    ]
+  });
+
+  t.end();
+});
+
+test("json-references", (t) => {
+  let exporter = new JsonExporter();
+  let s = {};
+  let o = { a: s, b: s };
+  o.c = o;
+
+  t.deepEqual(json(exporter.export(o)), {
+    type: "Object",
+    id: 1,
+    children: [
+      { type: "Key", value: "a" },
+      { type: "Object", id: 2, children: [] },
+      { type: "Key", value: "b" },
+      { type: "Reference", ref: 2, circular: false },
+      { type: "Key", value: "c" },
+      { type: "Reference", ref: 1, circular: true }
+    ]
+  });
+
+  t.deepEqual(json(exporter.export(o, { expandShared: true })).children[3],
+    { type: "Object", children: [] });
+
+  t.end();
+});
+
+test("json-print", (t) => {
+  p({ indentSize: 0 }, JsonExporter).print("model: %m", [1]);
+  t.equal(output, 'model: {"type":"Array","children":[{"type":"number","value":1}]}');
+
+  p({}, JsonExporter).model([]);
+  t.equal(output, '{\n  "type": "Array",\n  "children": []\n}');
+
+  t.end();
+});
+
+test("dot", (t) => {
+  p({}, DotExporter).model(parse("f(x) = x").stms[0]);
+  t.equal(output,
+    "digraph model {\n" +
+    '  node [shape=box, fontname="monospace"];\n' +
+    '  n1 [label="Definition\\nkey = \\"f\\""];\n' +
+    '  n2 [label="Function"];\n' +
+    '  n3 [label="Parameter\\nname = \\"x\\""];\n' +
+    '  n4 [label="KeyReference\\nkey = \\"x\\""];\n' +
+    '  n1 -> n2 [label="value"];\n' +
+    '  n2 -> n3 [label="params[0]"];\n' +
+    '  n2 -> n4 [label="body"];\n' +
+    "}");
+
+  let env = { x: 1 };
+  let f = new mm.model.Closure(new mm.model.Function([], new mm.model.KeyReference("x")), env);
+  env.f = f;
+  let graph = new DotExporter().export([f, f]);
+  t.deepEqual(graph.nodes.map((n) => n.label),
+    ["Array", "Closure", "Function\nparams = []", 'KeyReference\nkey = "x"', "Object\nx = 1"]);
+  t.deepEqual(graph.edges.map((e) => [e.from, e.to, e.label, e.back]), [
+    [1, 2, "[0]", false],
+    [2, 3, "expr", false],
+    [3, 4, "body", false],
+    [2, 5, "env", false],
+    [5, 2, "f", true],
+    [1, 2, "[1]", false]
+  ]);
+  let dot = new DotExporter(null, { indentSize: 1 }).stringify(f, { graphName: "a b" });
+  t.ok(dot.startsWith('digraph "a b" {\n node'), dot);
+  t.ok(dot.indexOf('n4 -> n1 [label="f", style=dashed, color=red, constraint=false];') > 0, dot);
+
+  p({}, DotExporter).model("a\"b");
+  t.ok(output.indexOf('n1 [label="\\"a\\\\\\"b\\""];') > 0, output);
+
+  let evaluated = 0;
+  let lazy = { x: 1, get y() { evaluated++; throw new Error("invoked"); } };
+  t.deepEqual(new DotExporter().export(lazy).nodes.map((n) => n.label), ["Object\nx = 1\ny = [Getter]"]);
+  t.ok(new DotExporter().stringify(lazy).indexOf('n1 [label="Object\\nx = 1\\ny = [Getter]"];') > 0);
+  t.equal(evaluated, 0, "doesn't invoke accessors");
+
+  t.end();
+});
+
+test("colors-auto", (t) => {
+  p({}).model("a");
+  t.equal(output, '"a"');
+
+  withEnv({ NO_COLOR: undefined, TERM: "xterm" }, () => {
+    let prt = p({ colorDepth: 4 });
+    prt.out.isTTY = true;
+    prt.model("a");
+    t.equal(output, '\u001b[33m"a"\u001b[39m');
+  });
+
+  withEnv({ NO_COLOR: "1", TERM: "xterm" }, () => {
+    let prt = p({ colorDepth: 4 });
+    prt.out.isTTY = true;
+    prt.model("a");
+    t.equal(output, '"a"');
+
+    p({ colors: true, colorDepth: 4 }).model("a");
+    t.equal(output, '\u001b[33m"a"\u001b[39m');
+  });
+
+  withEnv({ NO_COLOR: "", TERM: "xterm" }, () => {
+    let prt = p({ colorDepth: 4 });
+    prt.out.isTTY = true;
+    prt.model("a");
+    t.equal(output, '\u001b[33m"a"\u001b[39m', "empty NO_COLOR is ignored");
+  });
+
+  t.end();
+});
+
+test("infix", (t) => {
+  let expr = (src, opts = options) => {
+    p(opts).model(parseExpr(src));
+    return output;
+  };
+  t.equal(expr("x * x"), "x * x");
+  t.equal(expr("1 + 2 * 3"), "1 + 2 * 3");
+  t.equal(expr("(1 + 2) * 3"), "(1 + 2) * 3");
+  t.equal(expr("(1 - 2) - 3"), "1 - 2 - 3");
+  t.equal(expr("1 - (2 - 3)"), "1 - (2 - 3)");
+  t.equal(expr("a < b == (c || d && e)"), "a < b == (c || d && e)");
+  t.equal(expr("!(a && b)"), "!(a && b)");
+  t.equal(expr("-(-x)"), "-(-x)");
+  t.equal(expr("-x * y"), "-x * y");
+  t.equal(expr("(a + b).c"), "(a + b).c");
+  t.equal(expr("f(a + b, -c)"), "f(a + b, -c)");
+  t.equal(expr("x * x", { colors: false, infix: false }), "mul(x, x)");
+  t.equal(expr("x * x", { colors: false, source: true, infix: false }), "mul(x, x)");
+
+  let inv = (op, args) => new mm.model.Invocation(new mm.model.This(), new mm.model.KeyReference(op), args);
+  p(options).model(inv("sub", [5, -3]));
+  t.equal(output, "5 - -3");
+  p(options).model(inv("neg", [-3]));
+  t.equal(output, "-(-3)");
+  p(options).model(inv("mul", [new mm.model.Function([], 1), 2]));
+  t.equal(output, "(() => 1) * 2");
+  p(options).model(inv("pow", [inv("pow", [1, 2]), 3]));
+  t.equal(output, "(1 ** 2) ** 3");
+  p(options).model(inv("pow", [inv("neg", [new mm.model.KeyReference("x")]), 2]));
+  t.equal(output, "(-x) ** 2");
+  p(options).model(inv("pow", [-2, inv("neg", [2])]));
+  t.equal(output, "(-2) ** -2");
+  p(options).model(inv("neg", [inv("pow", [2, 2])]));
+  t.equal(output, "-(2 ** 2)");
+  p(options).model(inv("add", [1]));
+  t.equal(output, "add(1)");
+  p(options).model(new mm.model.Invocation(2, new mm.model.KeyReference("add"), [1, 3]));
+  t.equal(output, "2.add(1, 3)");
+
+  p(sourceOptions).model(parse("f(x, y) = -(x + y) * (x - -y)"));
+  t.equal(output, "{ f = (x, y) => -(x + y) * (x - -y); }");
+
+  t.end();
+});
+
+test("placeholders", (t) => {
+  p(options).print("[%-6s|%6s|%.2s]", "ab", "cd", "efg");
+  t.equal(output, "[ab    |    cd|ef]");
+  p(options).print("[%4s]", "\u4e2d");
+  t.equal(output, "[  \u4e2d]");
+
+  p(options).print("%d %d %i %i %.3d", 42, "3.5", 3.9, -3.9, 7);
+  t.equal(output, "42 3.5 3 -3 007");
+  p(options).print("%08.3f|%-8.1f|%+f|% d|%f", -3.14159, 2.25, 1.5, 4, NaN);
+  t.equal(output, "-003.142|2.3     |+1.5| 4|NaN");
+  p(options).print("%x %X %#x %04x %#06X", 255, 255, 255, -5, 10);
+  t.equal(output, "ff FF 0xff -005 0X000A");
+
+  let circular = { a: 1 };
+  circular.self = circular;
+  p(options).print("%j %j %j %12j|", { a: [1, "b"] }, undefined, circular, "s");
+  t.equal(output, '{"a":[1,"b"]} undefined [Circular]          "s"|');
+
+  p(options).print("%m %o", new mm.model.Closure(3, 5), new mm.model.Closure(3, 5));
+  t.ok(output.startsWith("3 Closure { "), output);
+  p(options).print("%{maxItems=1}o", [1, 2]);
+  t.equal(output, "[1, … 1 more]");
+
+  p(options).print("100%% %q %5", 1);
+  t.equal(output, "100% %q %5 1");
+  p(options).print("%y %s", "a");
+  t.equal(output, "%y a");
+  p(options).print("100% sure %d", 5);
+  t.equal(output, "100% sure 5");
+  t.equal(Printer.format("%+s|% m|%+%", "a", 1), "%+s|% m|%+% a 1");
+
+  t.end();
+});
+
+test("placeholders-custom", (t) => {
+  Printer.placeholders.set("u", function(arg, spec) {
+    return String(arg).toUpperCase();
+  });
+  Printer.placeholders.set("k", function(arg) {
+    this._key(arg);
+  });
+  try {
+    p(options).print("%-5u|%k %k", "ab", "key", "no key");
+    t.equal(output, 'AB   |key ["no key"]');
+  } finally {
+    Printer.placeholders.delete("u");
+    Printer.placeholders.delete("k");
+  }
+  p(options).print("%u", "ab");
+  t.equal(output, "%u ab");
+
+  t.end();
+});
+
+test("register", (t) => {
+  class Ref extends mm.model.PropertyReference {}
+  p(options).model(new Ref(new mm.model.This(), "a"));
+  t.equal(output, "this.a", "subclasses inherit printing functions");
+
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+  }
+  class Point3 extends Point {}
+  let prt = p(options).register(Point, function(node) {
+    this._punct("<")._model(node.x)._punct(", ")._model(node.y)._punct(">");
+  });
+  prt.model([new Point(1, 2), new Point3(3, 4)]);
+  t.equal(output, "[<1, 2>, <3, 4>]");
+  output = "";
+  prt.model(new Point(1, 2), { raw: true });
+  t.equal(output, "Point { x = 1; y = 2; }");
+  p(options).model(new Point(1, 2));
+  t.equal(output, "Point { x = 1; y = 2; }", "other printers are not affected");
+
+  prt = p(annotOptions).register(mm.model.Closure, function(node, next) {
+    this._annotation("closure:");
+    next();
+  });
+  prt.model(new mm.model.Closure(3, 5));
+  t.equal(output, "closure:@closure(3)");
+  prt.register(Point, function(node, next) {
+    this._annotation("point:");
+    next();
+  });
+  output = "";
+  prt.model(new Point3(1, 2));
+  t.equal(output, "point:Point3 { x = 1; y = 2; }", "falls back to _object");
+
+  p({}, JsonExporter).register(Point, function(node) {
+    this._model(node.x);
+  }).model(new Point(7, 8));
+  t.equal(JSON.parse(output).children.length, 1);
+
+  t.end();
+});
+
+test("format", (t) => {
+  t.equal(Printer.format("%s = %m", "a", [1, "x"]), 'a = [1, "x"]');
+  t.equal(Printer.format(1, 2), "1 2");
+  t.equal(Printer.format(), "");
+
+  let prt = p({ colors: true, colorDepth: 4, maxItems: 1 });
+  prt.print("before ");
+  t.equal(prt.sprint("%m", [1, 2]), "[\u001b[33m1\u001b[39m, \u001b[90m… 1 more\u001b[39m]");
+  prt.print("after");
+  t.equal(output, "before after", "doesn't print");
+  prt.model(1);
+  let styles = prt.styles;
+  prt.sprint("%m", 1);
+  t.equal(prt.styles, styles, "doesn't cache the themes of its target in the printer");
+  t.ok(styles.has(prt.out));
+
+  prt = p(options).indent().register(mm.model.Closure, function() {
+    this._annotation("closure");
+  });
+  t.equal(prt.sprint("%m", new mm.model.Closure(3, 5)), "closure");
+
+  prt = new Printer(undefined, options);
+  prt.println("a").print("%d", 1);
+  t.equal(prt.out.text, "a\n1");
+  t.equal(String(prt.out.clear().write("b") && prt.out), "b");
+
+  t.end();
+});
+
+test("tee", (t) => {
+  let plain = new MemoryTarget();
+  let colored = new MemoryTarget();
+  let same = new MemoryTarget();
+  let prt = new Printer(new TeeTarget([
+    { out: colored, options: { colors: true, colorDepth: 4 } },
+    { out: plain, options: { colors: false } },
+    same
+  ]), { colors: "auto", colorDepth: 8, breakLimit: 6, theme: "light" });
+  prt.println("x:").indent().model({ a: "s", b: 1 });
+  t.equal(plain.text, 'x:\n  {\n    a = "s"\n    b = 1\n  }');
+  t.equal(colored.text, 'x:\n  {\n    \u001b[34ma\u001b[39m = \u001b[31m"s"\u001b[39m' +
+    '\n    \u001b[34mb\u001b[39m = \u001b[32m1\u001b[39m\n  }');
+  t.equal(same.text, plain.text, "MemoryTarget is not a TTY");
+
+  let html = new MemoryTarget();
+  new HtmlPrinter(new TeeTarget([html, new MemoryTarget()])).model("<");
+  t.equal(html.text, '<span class="mm-string">&quot;&lt;&quot;</span>');
+
+  t.end();
+});
+
+test("logger", (t) => {
+  let log = new Logger(undefined, { colors: false, debug: "" });
+  log.trace("hidden").debug("hidden").info("a %d", 1).warn("b").error("%m", [1]);
+  t.equal(log.out.text, "INFO  a 1\nWARN  b\nERROR [1]\n");
+  t.ok(log.enabled("info") && !log.enabled("debug"));
+  t.throws(() => log.log("verbose", "x"), /Unknown log level: verbose/);
+
+  log = new Logger(undefined, { colors: false, level: "warn", namespace: "app" });
+  log.print("partial").info("dropped").error("x");
+  t.equal(log.out.text, "partial\nERROR app: x\n");
+
+  let compiler = log.child("compiler", { debug: "compiler:*,-compiler:lexer" });
+  compiler.child("parser").debug("parsing");
+  compiler.child("lexer").debug("lexing");
+  compiler.debug("compiling");
+  t.equal(log.out.text, "partial\nERROR app: x\n", "patterns match the full namespace");
+  log.out.clear();
+  log.child("compiler", { debug: "app:compiler:*" }).child("parser").trace("%s", "parsing");
+  t.equal(log.out.text, "TRACE app:compiler:parser: parsing\n");
+
+  withEnv({ MM_DEBUG: "db" }, () => {
+    let db = new Logger(undefined, { colors: false, namespace: "db" });
+    db.debug("query").child("pool").debug("dropped");
+    t.equal(db.out.text, "DEBUG db: query\n");
+  });
+
+  log = new Logger(undefined, {
+    colors: false, breakLimit: 20, prefix: "> ",
+    timestamps: (date) => date instanceof Date ? "12:00" : "?"
+  });
+  log.indent().info("model: %m", { alpha: 1, beta: "two" });
+  log.unindent().warn("line1\nline2");
+  t.equal(log.out.text,
+    "> 12:00 INFO    model: {\n" +
+    "> 12:00 INFO      alpha = 1\n" +
+    '> 12:00 INFO      beta = "two"\n' +
+    "> 12:00 INFO    }\n" +
+    "> 12:00 WARN  line1\n" +
+    "> 12:00 WARN  line2\n");
+
+  log = new Logger(undefined, { colors: true, colorDepth: 4, debug: "" });
+  log.error("e");
+  t.equal(log.out.text, "\u001b[31mERROR\u001b[39m e\n");
+
+  t.end();
+});
+
+test("closure-env", (t) => {
+  let envOptions = { colors: false, closureEnv: true };
+  let param = new mm.model.Parameter("y");
+  let ref = (key) => new mm.model.KeyReference(key);
+  let env = { x: 1 };
+  let f = new mm.model.Closure(new mm.model.Function([param], ref("x")), env);
+  env.f = f;
+  p(envOptions).model(f);
+  t.equal(output, "#1= (y) => x @env { x = 1; f = #1#; }");
+  p(options).model(f);
+  t.equal(output, "(y) => x");
+  p({ colors: false, closureEnv: true, annotate: true }).model(f);
+  t.equal(output, "#1= @closure((y) => x @env { x = 1; f = #1#; })");
+
+  let inner = new mm.model.Closure(ref("z"), new Map([["x", 1], ["z", 3]]));
+  let same = new mm.model.Closure(ref("x"), env);
+  p(envOptions).model(new mm.model.Closure([inner, same], env));
+  t.equal(output, "[z @env { z = 3; }, x] @env { x = 1; f = (y) => x; }",
+    "omits bindings of the enclosing environment");
+
+  let child = Object.create(env);
+  child.y = 2;
+  p({ colors: false, closureEnv: true, annotate: true }).model(new mm.model.Closure(ref("y"), child));
+  t.equal(output, "@closure(y @env { y = 2; })", "omits inherited bindings");
+
+  p({ colors: false, closureEnv: true, source: true }).model(new mm.model.Closure(ref("y"), child));
+  t.equal(output, "y");
+  p(envOptions).model(new mm.model.Closure(ref("y"), null));
+  t.equal(output, "y");
+
+  let lazy = { x: 1, get z() { throw new Error("evaluated"); } };
+  let lazyInner = new mm.model.Closure(ref("z"), Object.create(lazy, { w: { value: 4, enumerable: true } }));
+  p(envOptions).model(new mm.model.Closure([lazyInner], lazy));
+  t.equal(output, "[z @env { w = 4; }] @env { x = 1; z = [Getter]; }",
+    "doesn't evaluate lazy bindings");
+
+  t.end();
+});
+
+test("inheritance", (t) => {
+  let def = (key, value) => new mm.model.Definition(key, value);
+  let base = new mm.model.Constructor([def("a", 1), def("b", 2)]);
+  let derived = Object.create(base);
+  derived.stms = [def("b", 3), def("c", 4)];
+  let empty = Object.create(derived);
+  empty.stms = [];
+
+  p(options).model(derived);
+  t.equal(output, "{ b = 3; c = 4; } extends { a = 1; b = 2; }");
+  p(options).model([empty, derived]);
+  t.equal(output, "[{} extends #1= { b = 3; c = 4; } extends { a = 1; b = 2; }, #1#]");
+  p(annotOptions).model(derived);
+  t.equal(output, "@ctor{ b = 3; c = 4; } extends @ctor{ a = 1; b = 2; }");
+
+  let inheritedOptions = { colors: false, inherited: true };
+  p(inheritedOptions).model(derived);
+  t.equal(output, "{ @override b = 3; c = 4; @inherited a = 1; }");
+  p(inheritedOptions).model(empty);
+  t.equal(output, "{ @inherited b = 3; @inherited c = 4; @inherited a = 1; }");
+  p(inheritedOptions).model(base);
+  t.equal(output, "{ a = 1; b = 2; }");
+
+  p(sourceOptions).model(derived);
+  t.equal(output, "{ b = 3; c = 4; a = 1; }");
+
+  t.end();
+});
+
+test("outline", (t) => {
+  let outlineOptions = { colors: false, outline: true };
+  p(outlineOptions).model(parse("f(x) = x * x; a = f(5)"));
+  t.equal(output,
+    "Constructor\n" +
+    "├─ stms[0]: Definition key=\"f\"\n" +
+    "│  └─ value: Function\n" +
+    "│     ├─ params[0]: Parameter name=\"x\"\n" +
+    "│     └─ body: Invocation\n" +
+    "│        ├─ target: This\n" +
+    "│        ├─ func: KeyReference key=\"mul\"\n" +
+    "│        ├─ args[0]: KeyReference key=\"x\"\n" +
+    "│        └─ args[1]: KeyReference key=\"x\"\n" +
+    "└─ stms[1]: Definition key=\"a\"\n" +
+    "   └─ value: Invocation\n" +
+    "      ├─ target: This\n" +
+    "      ├─ func: KeyReference key=\"f\"\n" +
+    "      └─ args[0]: 5");
+
+  let obj = { a: 1, e: [], list: [] };
+  obj.self = obj;
+  let shared = { b: null };
+  obj.list.push(shared, "s", [], shared);
+  p(outlineOptions).model(obj);
+  t.equal(output,
+    "#1= Object a=1 e=[]\n" +
+    "├─ list[0]: #2= Object b=null\n" +
+    "├─ list[1]: \"s\"\n" +
+    "├─ list[2]: Array []\n" +
+    "├─ list[3]: #2#\n" +
+    "└─ self: #1#");
+
+  p(options).print("%{outline}m", [new mm.model.KeyReference("x")]);
+  t.equal(output, "Array\n└─ [0]: KeyReference key=\"x\"");
+  p({ colors: false, outline: true, source: true }).model([1]);
+  t.equal(output, "[1]");
+
+  p(outlineOptions).model({ x: 1, get boom() { throw new Error("invoked"); }, child: { y: 2 } });
+  t.equal(output, "Object x=1 boom=[Getter]\n└─ child: Object y=2", "doesn't invoke accessors");
+
+  t.end();
+});
+
+test("path", (t) => {
+  let model = parse("f(x) = x * g(x); g(y) = -y; a = { b = 1; c = [1, 2]; }");
+  let root = { body: model };
+  p(options).model(root, { path: "body.f.body" });
+  t.equal(output, "body › f › body\nx * g(x)");
+  p(options).model(model, { path: "f.body.args[1]" });
+  t.equal(output, "f › body › args[1]\ng(x)");
+  p(options).model(model, { path: "*.body" });
+  t.equal(output, "f › body\nx * g(x)\ng › body\n-y");
+  p(options).model(model, { path: "a.c.*" });
+  t.equal(output, "a › c[0]\n1\na › c[1]\n2");
+  p(options).model(model, { path: "**.func.key" });
+  t.equal(output,
+    'f › body › func › key\n"mul"\n' +
+    'f › body › args[1] › func › key\n"g"\n' +
+    'g › body › func › key\n"neg"');
+  p(options).print("g = %{path=g}m;", model);
+  t.equal(output, "g = g\n(y) => -y;");
+  p(sourceOptions).model(model, { path: "a" });
+  t.equal(output, "{ b = 1; c = [1, 2]; }");
+
+  let derived = Object.create(model);
+  derived.stms = [];
+  p(options).model(derived, { path: "a.b" });
+  t.equal(output, "a › b\n1", "selects inherited definitions");
+
+  t.throws(() => p(options).model(root, { path: "body.h" }),
+    /^Error: Path 'body.h' doesn't resolve: no match for 'h' at 'body', expected one of: f, g, a$/);
+  t.throws(() => p(options).model(model, { path: "*.x" }),
+    /^Error: Path '\*.x' doesn't resolve: no match for 'x' at 'f', expected one of: params, body$/);
+  t.throws(() => p(options).model(model, { path: "a.b.c" }),
+    /^Error: Path 'a.b.c' doesn't resolve: no match for 'c' at 'a.b', it has no children$/);
+
+  let lazy = { x: { y: 1 }, get boom() { throw new Error("invoked"); } };
+  p(options).model(lazy, { path: "x" });
+  t.equal(output, "x\n{ y = 1; }", "doesn't invoke accessors");
+  p(options).model(lazy, { path: "**.y" });
+  t.equal(output, "x › y\n1");
+  t.throws(() => p(options).model(lazy, { path: "boom" }),
+    /no match for 'boom', expected one of: x$/);
+
+  t.end();
+});
+
+test("diff", (t) => {
+  let before = parse('f(x) = x * x; g(y) = -y; k = 42; a = { b = 1; c = [1, 2, 3, 4]; }; z = "old"');
+  let after = parse('g(y) = -y; f(x) = x * x; h = 42; a = { b = 2; c = [1, 2, 5, 4, 6]; }; z = "new"; n = 1');
+  p(options).diff(before, after);
+  t.equal(output,
+    "  {\n" +
+    "    g = …\n" +
+    "    f = … @moved\n" +
+    "~   h = … @renamed from k\n" +
+    "    a = {\n" +
+    "-     b = 1\n" +
+    "+     b = 2\n" +
+    "      c = [\n" +
+    "        … 2 unchanged\n" +
+    "-       3\n" +
+    "+       5\n" +
+    "        … 1 unchanged\n" +
+    "+       6\n" +
+    "      ]\n" +
+    "    }\n" +
+    '-   z = "old"\n' +
+    '+   z = "new"\n' +
+    "+   n = 1\n" +
+    "  }\n");
+
+  p(options).diff(before, parse('f(x) = x * x; g(y) = -y; k = 42; a = { b = 1; c = [1, 2, 3, 4]; }; z = "old"'));
+  t.equal(output, "", "prints nothing if the models are the same");
+
+  p({ colors: false, breakLimit: 12 }).indent().diff(parse("a = 1; b = 2"), parse("a = { b = 1; c = 2; }"));
+  t.equal(output,
+    "    {\n" +
+    "-     a = 1\n" +
+    "+     a = {\n" +
+    "+       b = 1\n" +
+    "+       c = 2\n" +
+    "+     }\n" +
+    "-     b = 2\n" +
+    "    }\n",
+    "prints the margin before the indentation of broken lines");
+
+  p({ colors: true, colorDepth: 4 }).diff([1, 2], [3, 2]);
+  t.equal(output,
+    "  [\n" +
+    "\u001b[31m- \u001b[39m  \u001b[33m1\u001b[39m\n" +
+    "\u001b[32m+ \u001b[39m  \u001b[33m3\u001b[39m\n" +
+    "    \u001b[90m… 1 unchanged\u001b[39m\n" +
+    "  ]\n");
+
+  p(options).diff("a", ["a"]);
+  t.equal(output, '- "a"\n+ ["a"]\n');
+
+  p(options).diff(
+    parse("f(x) = x * x; g = f(h(1)); k = (y) => { b = y; c = 1; }"),
+    parse("f(x) = x * y; g = f(h(2)); k = (y) => { b = y; c = 2; }"));
+  t.equal(output,
+    "  {\n" +
+    "    f = (x) => …\n" +
+    "      x * …\n" +
+    "-       x\n" +
+    "+       y\n" +
+    "    g = f(…)\n" +
+    "-     h(1)\n" +
+    "+     h(2)\n" +
+    "    k = (y) => …\n" +
+    "      {\n" +
+    "        b = …\n" +
+    "-       c = 1\n" +
+    "+       c = 2\n" +
+    "      }\n" +
+    "  }\n",
+    "recurses into the changed children of other nodes");
+
+  t.end();
+});
+
+test("locations", (t) => {
+  let at = (node, start, end, source) => {
+    node.location = {
+      source: source,
+      start: { line: start[0], column: start[1] },
+      end: { line: end[0], column: end[1] }
+    };
+    return node;
+  };
+  let ref = (key) => new mm.model.KeyReference(key);
+  let src = 'f(x) = x * x; a = f(5)\nb = 3\n\tc = "日本" + d';
+  let body = at(new mm.model.Invocation(new mm.model.This(), ref("mul"),
+    [ref("x"), at(ref("x"), [1, 12], [1, 13])]), [1, 8], [1, 13]);
+  let def = at(new mm.model.Definition("f", new mm.model.Function([new mm.model.Parameter("x")], body)),
+    [1, 1], [1, 13], "prog.mm");
+  let model = new mm.model.Constructor([def]);
+
+  p({ colors: false, locations: true }).model(model);
+  t.equal(output, "{ @prog.mm:1:1 f = (x) => @1:8 x * @1:12 x; }");
+  p(options).model(model);
+  t.equal(output, "{ f = (x) => x * x; }");
+  p({ colors: false, locations: true, source: true }).model(model);
+  t.equal(output, "{ f = (x) => x * x; }");
+  p({ colors: false, locations: true }).model(Object.create(def));
+  t.equal(output, "f = (x) => @1:8 x * @1:12 x", "ignores inherited locations");
+
+  p(options).codeFrame(body, src);
+  t.equal(output,
+    "1:8\n" +
+    "> 1 | f(x) = x * x; a = f(5)\n" +
+    "    |        ^^^^^\n" +
+    "  2 | b = 3\n");
+  p(options).indent().codeFrame(at(ref("d"), [3, 13], [3, 14]), src);
+  t.equal(output,
+    "  3:13\n" +
+    "    2 | b = 3\n" +
+    '  > 3 | \tc = "日本" + d\n' +
+    "      | \t             ^\n", "aligns carets under tabs and wide characters");
+  p(options).codeFrame(at({}, [1, 15], [2, 4]), src);
+  t.equal(output,
+    "1:15\n" +
+    "> 1 | f(x) = x * x; a = f(5)\n" +
+    "    |               ^^^^^^^^\n" +
+    "> 2 | b = 3\n" +
+    "    | ^^^\n" +
+    '  3 | \tc = "日本" + d\n');
+  p(options).codeFrame(at({}, [2, 6], [2, 6]), src);
+  t.equal(output,
+    "2:6\n" +
+    "  1 | f(x) = x * x; a = f(5)\n" +
+    "> 2 | b = 3\n" +
+    "    |      ^\n" +
+    '  3 | \tc = "日本" + d\n', "marks empty spans");
+  p({ colors: true, colorDepth: 4 }).codeFrame(at({}, [1, 1], [1, 2]), "b");
+  t.equal(output,
+    "\u001b[90m1:1\u001b[39m\n" +
+    "\u001b[90m> 1\u001b[39m | b\n" +
+    "    | \u001b[31m^\u001b[39m\n");
+  t.throws(() => p(options).codeFrame(ref("x"), src), /No source location recorded for the node/);
+
+  t.end();
+});
+
+test("sourcemap", (t) => {
+  let model = parse("f(x) = x * x; a = { b = [1, 2]; }");
+  let text = (map, entry) => {
+    let lines = output.split("\n").slice(entry.start.line, entry.end.line + 1);
+    lines[lines.length - 1] = lines[lines.length - 1].substring(0, entry.end.column);
+    lines[0] = lines[0].substring(entry.start.column);
+    return lines.join("\n");
+  };
+  let map = new SourceMap();
+  p({ colors: false, sourceMap: map }).print("model: ").model(model);
+  t.deepEqual(map.entries.map((entry) => [entry.node.constructor.name, text(map, entry)]), [
+    ["Constructor", "{ f = (x) => x * x; a = { b = [1, 2]; }; }"],
+    ["Definition", "f = (x) => x * x"],
+    ["Function", "(x) => x * x"],
+    ["Parameter", "x"],
+    ["Invocation", "x * x"],
+    ["KeyReference", "x"],
+    ["KeyReference", "x"],
+    ["Definition", "a = { b = [1, 2]; }"],
+    ["Constructor", "{ b = [1, 2]; }"],
+    ["Definition", "b = [1, 2]"],
+    ["Array", "[1, 2]"]
+  ]);
+  t.equal(map.nodeAt(0, 20), model.stms[0].value.body.args[0]);
+  t.equal(map.nodeAt(0, 6), undefined);
+  t.deepEqual(map.entriesAt(0, 31).map((entry) => entry.node),
+    [model, model.stms[1], model.stms[1].value]);
+
+  map = new SourceMap();
+  p({ colors: false, breakLimit: 16, sourceMap: map }).indent().model(model);
+  t.equal(output,
+    "  {\n" +
+    "    f = (x) => x * x\n" +
+    "    a = {\n" +
+    "      b = [1, 2]\n" +
+    "    }\n" +
+    "  }");
+  t.deepEqual(map.rangesOf(model.stms[0]),
+    [{ node: model.stms[0], start: { line: 1, column: 4 }, end: { line: 1, column: 20 } }]);
+  t.deepEqual(map.rangesOf(model.stms[1].value.stms[0]),
+    [{ node: model.stms[1].value.stms[0], start: { line: 3, column: 6 }, end: { line: 3, column: 16 } }],
+    "starts after the indentation");
+  t.equal(map.nodeAt(3, 11).constructor.name, "Array");
+
+  let shared = { x: 1 };
+  map.clear();
+  p({ colors: false, sourceMap: map }).model([shared, "日本", shared]);
+  t.equal(output, "[#1= { x = 1; }, \"日本\", #1#]");
+  t.deepEqual(map.rangesOf(shared).map((entry) => [entry.start.column, entry.end.column]), [[1, 15], [23, 26]],
+    "maps references and counts UTF-16 code units");
+
+  map.clear();
+  p({ colors: false, maxItems: 1, sourceMap: map }).model([[1], [2]]);
+  t.equal(output, "[[1], … 1 more]");
+  t.equal(map.entries.length, 2, "elided nodes aren't mapped");
+
+  t.end();
+});
+
+test("builtins", (t) => {
+  let text = (node, options) => {
+    p(Object.assign({ colors: false }, options)).model(node);
+    return output;
+  };
+  let map = new Map([[1, "a"], ["k", { x: 1 }]]);
+  map.set(map, [map]);
+  t.equal(text(map), '#1= Map { 1 => "a", "k" => { x = 1; }, #1# => [#1#] }');
+  let set = new Set([1, 2]);
+  set.add({ s: set });
+  t.equal(text(set), "#1= Set { 1, 2, { s = #1#; } }");
+  t.equal(text(new Map()) + " " + text(new Set()), "Map {} Set {}");
+  t.equal(text(new Map([["alpha", [1, 2, 3]], ["beta", "gamma delta"]]), { breakLimit: 30 }),
+    'Map {\n  "alpha" => [1, 2, 3],\n  "beta" => "gamma delta"\n}');
+  t.equal(text(new Set([1, 2, 3]), { maxItems: 2 }), "Set { 1, 2, … 1 more }");
+
+  t.equal(text(new Date(Date.UTC(2020, 1, 3, 4, 5, 6, 7))), "2020-02-03T04:05:06.007Z");
+  t.equal(text(new Date(NaN)), "Invalid Date");
+  t.equal(text(/a\/b+/gi), "/a\\/b+/gi");
+  t.equal(text(new Uint8Array([1, 2])), "Uint8Array [1, 2]");
+  t.equal(text(new Float64Array(0)), "Float64Array []");
+  t.equal(text(Object(3)) + " " + text(Object("s")) + " " + text(Object(false)),
+    'Number(3) String("s") Boolean(false)');
+  t.equal(text(Object(Symbol("x"))), "Symbol(Symbol(x))");
+  if (typeof global.BigInt === "function") {
+    t.equal(text(Object(global.BigInt(5))), "BigInt(5n)");
+    t.equal(text(global.BigInt(123)), "123n");
+  }
+  t.equal(text(-0) + " " + text(NaN) + " " + text(-Infinity), "-0 NaN -Infinity");
+  t.equal(text([-0, 0]), "[-0, 0]");
+
+  let cause = new RangeError("too big");
+  cause.stack = "RangeError: too big\n    at check (lib.js:3:9)\n    at main (lib.js:7:3)";
+  let error = new Error("failed");
+  // the cause option of the constructor is missing before Node 16.9
+  Object.defineProperty(error, "cause", { value: cause, writable: true, configurable: true });
+  error.stack = "Error: failed\n    at main (lib.js:8:11)";
+  error.code = "E_FAIL";
+  t.equal(text(error, { breakLimit: Infinity }),
+    'Error { message = "failed"; stack = ["at main (lib.js:8:11)"]; ' +
+    'cause = RangeError { message = "too big"; stack = ["at check (lib.js:3:9)", "at main (lib.js:7:3)"]; }; ' +
+    'code = "E_FAIL"; }');
+  let custom = new Error("no stack");
+  custom.name = "CustomError";
+  custom.stack = "";
+  t.equal(text(custom), 'Error { name = "CustomError"; message = "no stack"; }');
+  let circular = new Error("circular");
+  circular.stack = "";
+  circular.self = circular;
+  t.equal(text(circular), '#1= Error { message = "circular"; self = #1#; }');
+
+  let rejected = Promise.reject(new Error());
+  rejected.catch(() => { });
+  t.equal(text([Promise.resolve(1), new Promise(() => { }), rejected]),
+    "[Promise { @fulfilled }, Promise { @pending }, Promise { @rejected }]");
+
+  t.equal(text(new Map([[1, 2]]), { raw: true }), "Map { 1 => 2 }", "raw mode");
+  t.equal(text(new Map([["k", 1]]), { colors: true }),
+    '\u001b[36mMap\u001b[39m { \u001b[33m"k"\u001b[39m => \u001b[33m1\u001b[39m }');
+  t.equal(text(new Date(0), { colors: true }), "\u001b[33m1970-01-01T00:00:00.000Z\u001b[39m");
+
+  let sourceOptions = { colors: false, source: true };
+  t.throws(() => p(sourceOptions).model(new Map()), /object of class Map/);
+  t.throws(() => p(sourceOptions).model(new Date(0)), /object of class Date/);
+  t.throws(() => p(sourceOptions).model(global.BigInt(1)), /bigint 1/);
+
+  t.end();
+});
+
+test("properties", (t) => {
+  let text = (node, options) => {
+    p(Object.assign({ colors: false, breakLimit: Infinity }, options)).model(node);
+    return output;
+  };
+  let tag = Symbol("tag");
+  let calls = 0;
+  let obj = {
+    x: 1,
+    [tag]: 2,
+    get g() { calls++; throw new Error("invoked"); },
+    get gs() { calls++; return 1; },
+    set gs(v) { calls++; }
+  };
+  Object.defineProperty(obj, "s", { set: (v) => calls++, enumerable: true });
+  Object.defineProperty(obj, "hidden", { value: 3, enumerable: false });
+  Object.defineProperty(obj, "ro", { value: 4, enumerable: true, writable: false });
+  t.equal(text(obj),
+    "{ x = 1; g = [Getter]; gs = [Getter/Setter]; s = [Setter]; ro = 4; [Symbol(tag)] = 2; }");
+  t.equal(text(obj, { annotate: true }),
+    "{ x = 1; g = [Getter]; gs = [Getter/Setter]; s = [Setter]; " +
+    "@nonenumerable @readonly hidden = 3; @readonly ro = 4; [Symbol(tag)] = 2; }");
+  t.equal(calls, 0, "accessors aren't invoked");
+  t.equal(text({ get g() { return 1; } }, { colors: true }),
+    "{ \u001b[36mg\u001b[39m = \u001b[90m[Getter]\u001b[39m; }");
+
+  t.equal(text({ [mm.Unreduce]: 1 }), "{ [" + String(mm.Unreduce) + "] = 1; }");
+  t.equal(text(Object.freeze({ y: 1 }), { annotate: true }), "@frozen { y = 1; }");
+  t.equal(text(Object.seal({ y: 1 }), { annotate: true }), "@sealed { y = 1; }");
+  t.equal(text(Object.preventExtensions({}), { annotate: true }), "@frozen {}");
+  t.equal(text(Object.preventExtensions({ y: 1 }), { annotate: true }), "@nonextensible { y = 1; }");
+  t.equal(text(Object.freeze({ y: 1 })), "{ y = 1; }");
+
+  let error = new Error("failed");
+  error.stack = "";
+  Object.defineProperty(error, "code", { get: () => "E_FAIL", enumerable: true });
+  t.equal(text(error), 'Error { message = "failed"; code = [Getter]; }');
+
+  let sourceOptions = { colors: false, source: true };
+  t.throws(() => p(sourceOptions).model({ get x() { return 1; } }), /accessor property x/);
+  t.throws(() => p(sourceOptions).model({ [tag]: 1 }), /Symbol\(tag\)/);
+
+  t.end();
+});
+
+test("tracer", (t) => {
+  let expr = (src) => parseExpr(src);
+  let trace = (options) => {
+    let tracer = new Tracer(p(options.printer || options), options.tracer);
+    tracer.enter(expr("f(5)"), "invoke", "a");
+    tracer.enter(expr("x * x"), "mul", "f").exit(25);
+    tracer.enter(expr("g(x)"), "invoke", "f");
+    tracer.enter(expr("-x"), "neg", "g").exit(-5);
+    tracer.exit(-5);
+    tracer.exit(25);
+    tracer.enter(expr("b"), undefined, "b").exit("done");
+    return output;
+  };
+  t.equal(trace(options),
+    "f(5) @invoke\n" +
+    "  x * x ⇒ 25 @mul\n" +
+    "  g(x) @invoke\n" +
+    "    -x ⇒ -5 @neg\n" +
+    "  ⇒ -5\n" +
+    "⇒ 25\n" +
+    'b ⇒ "done"\n');
+  t.equal(trace({ printer: options, tracer: { maxDepth: 1 } }),
+    "f(5) @invoke\n" +
+    "  …\n" +
+    "⇒ 25\n" +
+    'b ⇒ "done"\n');
+  t.equal(trace({ printer: options, tracer: { names: ["f", "b"] } }),
+    "x * x ⇒ 25 @mul\n" +
+    "g(x) @invoke\n" +
+    "  -x ⇒ -5 @neg\n" +
+    "⇒ -5\n" +
+    'b ⇒ "done"\n');
+  t.equal(trace({ printer: options, tracer: { names: ["g"], model: { infix: false } } }),
+    "neg(x) ⇒ -5 @neg\n");
+
+  let prt = p(options).indent();
+  let tracer = new Tracer(prt);
+  class Calc {
+    square(x) { return this.mul(x, x); }
+    mul(x, y) { return x * y; }
+    fail() { throw new Error("boom"); }
+  }
+  let calc = new Calc();
+  let unhook = [
+    tracer.hook(Calc.prototype, "square", (self, args) => ({ expr: args[0], rule: "square" })),
+    tracer.hook(Calc.prototype, "mul", (self, args) => ({ expr: Array.from(args), rule: Math.max })),
+    tracer.hook(Calc.prototype, "fail")
+  ];
+  prt.print("trace:");
+  t.equal(calc.square(3), 9);
+  t.throws(() => calc.fail(), /boom/);
+  unhook.forEach((fn) => fn());
+  calc.square(2);
+  t.equal(output,
+    "  trace:\n" +
+    "  3 @square\n" +
+    "    [3, 3] ⇒ 9 @max\n" +
+    "  ⇒ 9\n" +
+    "  Calc {} ⇒ throws Error: boom @fail\n");
+  t.throws(() => tracer.exit(1), /No reduction step to exit/);
+  t.equal(Object.prototype.hasOwnProperty.call(calc, "square"), false, "restores inherited methods");
+
+  let program = metamaya.compile('f(x) = x * x; a = f(5); s = "hi"');
+  let get = program.get;
+  tracer = new Tracer(p(options), { names: ["f", "s"] });
+  let unhookProgram = tracer.hookProgram(program);
+  program.get("f").value();
+  program.get("a").value();
+  program.get("s").value();
+  unhookProgram();
+  program.get("f").value();
+  t.equal(output,
+    "f ⇒ (x) => x * x @value\n" +
+    's ⇒ "hi" @value\n');
+  t.equal(program.get, get, "restores the program");
+
+  t.end();
+});
+
+test("cli", (t) => {
+  let files = { "prog.mm": 'f(x) = x * x; a = f(5); s = "hi"', "bad.mm": "a = " };
+  let run = (...args) => {
+    let io = {
+      stdout: new MemoryTarget(),
+      stderr: new MemoryTarget(),
+      readFile: (file) => {
+        if (!(file in files)) {
+          throw new Error("ENOENT: " + file);
+        }
+        return files[file];
+      }
+    };
+    let code = cli.run(args, io);
+    return [code, io.stdout.text, io.stderr.text];
+  };
+
+  t.deepEqual(run("prog.mm"), [0, '{ f = (x) => x * x; a = f(5); s = "hi"; }\n', ""]);
+  t.deepEqual(run("--break-limit", "30", "--indent-size=4", "--no-infix", "prog.mm"),
+    [0, '{\n    f = (x) => mul(x, x)\n    a = f(5)\n    s = "hi"\n}\n', ""]);
+  t.deepEqual(run("-e", "s", "--eval", "a", "prog.mm"), [0, 's = "hi"\na = f(5)\n', ""]);
+  t.deepEqual(run("-f", "source", "-e", "s", "prog.mm"), [0, 's = "hi"\n', ""]);
+  t.deepEqual(run("--path", "f.body", "prog.mm"), [0, "f › body\nx * x\n", ""]);
+  t.deepEqual(run("--path=g", "prog.mm"),
+    [1, "", "metamaya-print: Path 'g' doesn't resolve: no match for 'g', expected one of: f, a, s\n"]);
+  t.deepEqual(run("-e", "s", "--colors", "--color-depth=4", "prog.mm"),
+    [0, 's = \u001b[33m"hi"\u001b[39m\n', ""]);
+  t.equal(JSON.parse(run("-f", "json", "-e", "s", "prog.mm")[1]).s.value, "hi");
+  t.ok(run("-f", "dot", "-e", "s", "prog.mm")[1].startsWith('digraph s {\n  node [shape=box, fontname="monospace"];\n  n1 [label="\\"hi\\""];'));
+  let html = run("--format", "html", "prog.mm")[1];
+  t.ok(html.startsWith("<!DOCTYPE html>") && html.indexOf("<title>prog.mm</title>") > 0);
+  t.equal(run("-h")[0], 0);
+  t.ok(run("--help")[1].startsWith("Usage: metamaya-print"));
+
+  let error = run("--max-depth=x", "prog.mm");
+  t.equal(error[0], 2);
+  t.ok(error[2].startsWith("metamaya-print: invalid number: --max-depth=x\n\nUsage:"), error[2]);
+  t.ok(run("--bogus")[2].startsWith("metamaya-print: unknown option: --bogus"));
+  t.ok(run("--raw=yes")[2].startsWith("metamaya-print: invalid value of --raw=yes"));
+  t.ok(run("-f", "xml")[2].startsWith("metamaya-print: unknown format: xml"));
+  t.ok(run("--break-limit")[2].startsWith("metamaya-print: missing value of --break-limit"));
+  t.ok(run("a.mm", "b.mm")[2].startsWith("metamaya-print: too many files: a.mm b.mm"));
+
+  t.deepEqual(run("missing.mm"), [1, "", "metamaya-print: can't read missing.mm: ENOENT: missing.mm\n"]);
+  error = run("bad.mm");
+  t.equal(error[0], 1);
+  t.ok(error[2].startsWith("metamaya-print: bad.mm"), error[2]);
+  let compile = metamaya.compile;
+  metamaya.compile = () => {
+    let e = new SyntaxError("Expected expression but end of input found.");
+    e.location = { start: { offset: 4, line: 1, column: 5 }, end: { offset: 4, line: 1, column: 5 } };
+    throw e;
+  };
+  try {
+    error = run("bad.mm");
+  } finally {
+    metamaya.compile = compile;
+  }
+  t.deepEqual(error, [1, "", "metamaya-print: bad.mm:1:5: Expected expression but end of input found.\n"],
+    "prints the location of PEG.js syntax errors");
+  t.deepEqual(run("-e", "b", "prog.mm"), [1, "", "metamaya-print: no definition named 'b' in prog.mm\n"]);
+  files["-"] = "a = this";
+  t.deepEqual(run("-f", "source", "--", "-"), [0, "{ a = this; }\n", ""]);
+
   t.end();
 });
 
@@ -415,7 +1748,7 @@ test("colors", (t) => {
 
 
 // Creates a printer that prints into the global string `output`.
-function p(options) {
+function p(options, Class = Printer) {
   output = "";
   // super-simple writable stream: http://stackoverflow.com/a/21583831
   var stm = new stream.Writable();
@@ -423,12 +1756,129 @@ function p(options) {
     output += chunk;
     done();
   };
-  return new Printer(stm, options);
+  return new Class(stm, options);
 }
 
 var output = "";
 
 
+// Calls `fn` with environment variables temporarily set or deleted.
+function withEnv(vars, fn) {
+  let saved = {};
+  for (let name of Object.keys(vars)) {
+    saved[name] = process.env[name];
+    setEnv(name, vars[name]);
+  }
+  try {
+    fn();
+  } finally {
+    for (let name of Object.keys(saved)) {
+      setEnv(name, saved[name]);
+    }
+  }
+}
+
+function setEnv(name, value) {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+}
+
+
+// Converts a JSON tree to plain data, dropping undefined properties.
+function json(tree) {
+  return JSON.parse(JSON.stringify(tree));
+}
+
 function parse(str) {
   return parser.parse(str).body;
 }
+
+
+// Checks that the printed source of a program parses back to the same
+// model and parse -> print -> parse -> print reaches a fixpoint.
+function roundTrip(t, src, options) {
+  let model = parse(src);
+  p(options).model(model);
+  let printed = output;
+  let reparsed;
+  try {
+    reparsed = parseExpr(printed);
+  } catch (e) {
+    t.fail("can't parse printed source: " + printed + " (" + e.message + ")");
+    return;
+  }
+  let exporter = new JsonExporter();
+  t.deepEqual(json(exporter.export(reparsed)), json(exporter.export(model)), src + " (model)");
+  p(options).model(reparsed);
+  t.equal(output, printed, src);
+}
+
+
+// Parses a single expression by defining it as a property.
+function parseExpr(str) {
+  return parse("it = " + str).stms[0].value;
+}
+
+
+// Programs used to test that source mode output parses back to the same model.
+const sourceCorpus = [
+  "start = {}",
+  "a = 1; b = a",
+  'a = "text"; b = "\\"quoted\\" \\\\ \\n\\t"; c = ""',
+  "a = { b = { c = 3; }; d = b.c; }",
+  "f(x) = x * x; a = f(5)",
+  "f(x, y) = x + y * 2; a = f(1, (2 + 3) * 4)",
+  "a = { f(x) = x; }; start = a.f(3)",
+  "start = this.a; a = true; b = false; c = null",
+  '["a b"] = 1; ["this"] = 2; ["1x"] = this["a b"]; c = { ["if"] = 3; }',
+  "a = -x; b = !a; c = -(-x); d = !(a && b) || c",
+  "a = x < y; b = x <= y; c = x > y; d = x >= y; e = x == y; f = x != y",
+  "a = -x * y < z; b = (x + y) * -z != x - y * z",
+  'a = "\\b\\v\\f\\u0000\\u001f\\u007f"; b = "\\ud800"; c = "\\udc00x\\ud83d\\ude00"; d = "\\u2028\\u2029"',
+];
+
+
+// Generates metamaya programs with a deterministic pseudo random generator.
+function randomPrograms(count, seed) {
+  let random = () => (seed = seed * 16807 % 2147483647) / 2147483647;
+  let pick = (arr) => arr[Math.floor(random() * arr.length)];
+  let names = ["a", "b", "f", "x", "value", "_tmp", "$y"];
+  let strings = ["", "text", "\"", "\\", "\n", "tab\there", "\u00fcn\u00efc\u00f6d\u00e9",
+    "\b\v\f", "\u0000\u001b", "\ud800", "\udc00x", "\u2028"];
+  // non-identifier and reserved keys, one per statement
+  let keys = ["a b", "this", "1x"];
+
+  function expr(depth) {
+    switch (Math.floor(random() * (depth > 0 ? 8 : 3))) {
+      case 0: return String(Math.floor(random() * 1000));
+      case 1: return JSON.stringify(pick(strings));
+      case 2: return pick(names);
+      case 3: return pick(names) + "." + pick(names);
+      case 4: return "{ " + stms(depth - 1) + " }";
+      case 5: return pick(names) + "(" + expr(depth - 1) + ", " + expr(depth - 1) + ")";
+      case 6: return pick(["-", "!"]) + expr(depth - 1);
+      default: return "(" + expr(depth - 1) + " " +
+        pick(["+", "-", "*", "<", ">=", "==", "!=", "&&", "||"]) + " " + expr(depth - 1) + ")";
+    }
+  }
+
+  function stms(depth) {
+    let out = [];
+    let n = 1 + Math.floor(random() * 3);
+    for (let i = 0; i < n; ++i) {
+      let key = random() < 0.2 ? "[" + JSON.stringify(keys[i]) + "]" : names[i];
+      let head = random() < 0.3 ? key + "(x, y)" : key;
+      out.push(head + " = " + expr(depth));
+    }
+    return out.join("; ");
+  }
+
+  let programs = [];
+  for (let i = 0; i < count; ++i) {
+    programs.push(stms(3));
+  }
+  return programs;
+}